@@ -18,6 +18,14 @@
 // @grant        GM.setValue
 // @grant        GM.getValue
 // @grant        GM_getValue
+// @grant        GM.xmlHttpRequest
+// NOTE: Hosts that subscriptions and imports usually download from. TamperMonkey asks the user before downloading from other hosts
+// @connect      raw.githubusercontent.com
+// @connect      gist.githubusercontent.com
+// @connect      github.com
+// @connect      cdn.discordapp.com
+// @connect      media.discordapp.net
+// @connect      i.imgur.com
 // @resource     CSS-BM-File https://raw.githubusercontent.com/briocheeeee/wplace-blue-marble-my-version-/refs/heads/main/dist/BlueMarble.user.css
 // ==/UserScript==
 
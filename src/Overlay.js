@@ -226,6 +226,31 @@ export default class Overlay {
     return this;
   }
 
+  /** Adds a `canvas` to the overlay.
+   * This `canvas` element will have properties shared between all `canvas` elements in the overlay.
+   * You can override the shared properties by using a callback.
+   * @param {Object.<string, any>} [additionalProperties={}] - The DOM properties of the `canvas` that are NOT shared between all overlay `canvas` elements. These should be camelCase.
+   * @param {function(Overlay, HTMLCanvasElement):void} [callback=()=>{}] - Additional JS modification to the `canvas`.
+   * @returns {Overlay} Overlay class instance (this)
+   * @since 0.83.0
+   * @example
+   * // Assume all <canvas> elements have a shared class (e.g. {'className': 'bar'})
+   * overlay.addCanvas({'id': 'foo', 'width': 100, 'height': 50}).buildOverlay(document.body);
+   * // Output:
+   * // (Assume <body> already exists in the webpage)
+   * <body>
+   *   <canvas id="foo" width="100" height="50" class="bar"></canvas>
+   * </body>
+   */
+  addCanvas(additionalProperties = {}, callback = () => {}) {
+
+    const properties = {}; // Shared <canvas> DOM properties
+
+    const canvas = this.#createElement('canvas', properties, additionalProperties); // Creates the <canvas> element
+    callback(this, canvas); // Runs any script passed in through the callback
+    return this;
+  }
+
   /** Adds a header to the overlay.
    * This header element will have properties shared between all header elements in the overlay.
    * You can override the shared properties by using a callback.
@@ -490,6 +515,49 @@ export default class Overlay {
     return this;
   }
 
+  /** Adds a `select` to the overlay.
+   * This `select` element will have properties shared between all `select` elements in the overlay.
+   * You can override the shared properties by using a callback. Note: the `select` element is inside a label element.
+   * @param {Object.<string, any>} [additionalProperties={}] - The DOM properties of the `select` that are NOT shared between all overlay `select` elements. These should be camelCase. `options` is a list of DOM properties for each `option`
+   * @param {function(Overlay, HTMLLabelElement, HTMLSelectElement):void} [callback=()=>{}] - Additional JS modification to the `select`.
+   * @returns {Overlay} Overlay class instance (this)
+   * @since 0.83.0
+   * @example
+   * // Assume all <select> elements have a shared class (e.g. {'className': 'bar'})
+   * overlay.addSelect({'id': 'foo', 'textContent': 'Foobar: ', 'options': [{'value': 'a', 'textContent': 'A'}, {'value': 'b', 'textContent': 'B'}], 'value': 'b'}).buildOverlay(document.body);
+   * // Output:
+   * // (Assume <body> already exists in the webpage)
+   * <body>
+   *   <label>
+   *     "Foobar: "
+   *     <select id="foo" class="bar">
+   *       <option value="a">A</option>
+   *       <option value="b" selected>B</option>
+   *     </select>
+   *   </label>
+   * </body>
+   */
+  addSelect(additionalProperties = {}, callback = () => {}) {
+
+    const properties = {}; // Shared <select> DOM properties
+
+    const options = additionalProperties['options'] ?? []; // Retrieves the options
+    const value = additionalProperties['value']; // Retrieves the selected value, which can only be set once the options exist
+    delete additionalProperties['options'];
+    delete additionalProperties['value'];
+
+    const label = this.#createElement('label', {'textContent': additionalProperties['textContent'] ?? ''}); // Creates the label element
+    delete additionalProperties['textContent']; // Deletes 'textContent' DOM property before adding the properties to the select
+    const select = this.#createElement('select', properties, additionalProperties); // Creates the <select> element
+    for (const option of options) {
+      select.appendChild(Object.assign(document.createElement('option'), option)); // Creates each <option> element
+    }
+    if (value !== undefined) {select.value = value;}
+    this.buildElement(); // Signifies that we are done adding children to the select
+    callback(this, label, select); // Runs any script passed in through the callback
+    return this;
+  }
+
   /** Adds a `textarea` to the overlay.
    * This `textarea` element will have properties shared between all `textarea` elements in the overlay.
    * You can override the shared properties by using a callback.
@@ -1,5 +1,9 @@
-import { uint8ToBase64 } from "./utils";
 import { colorpalette } from "./utils";
+import { templateTiling, createTemplateTilesInWorker } from "./templateWorker";
+import { paletteMatching } from "./palette";
+
+const matching = paletteMatching(); // Palette matching on the main thread, which shares its cache between calls
+const tiling = templateTiling(() => matching); // Tiling on the main thread, using the same palette matching
 
 /** An instance of a template.
  * Handles all mathematics, manipulation, and analysis regarding a single template.
@@ -18,9 +22,13 @@ export default class Template {
    * @param {Array<number>} [params.coords=null] - The coordinates of the top left corner as (tileX, tileY, pixelX, pixelY)
    * @param {Object} [params.chunked=null] - The affected chunks of the template, and their template for each chunk
    * @param {boolean} [params.autoColor=false] - When true, map colors to the nearest palette color during processing
+   * @param {string} [params.colorMetric='rgb'] - The color-distance metric used to find the nearest palette color (see {@link paletteMatching})
+   * @param {string} [params.dither='none'] - The dithering mode used when mapping to the palette (see {@link paletteMatching})
+   * @param {Array<number>|null} [params.enabledColors=null] - The palette indices colors can be mapped to, or null for every color
    * @param {number} [params.tileSize=1000] - The size of a tile in pixels (assumes square tiles)
-   * @param {number} [params.pixelCount=0] - Total number of pixels in the template (calculated automatically during processing)
+   * @param {number} [params.pixelCount=0] - Total number of colored pixels in the template (calculated automatically during processing)
    * @param {boolean} [params.enabled=true] - Whether this template is visible
+   * @param {Object} [params.style={}] - How this template is drawn, where it differs from every other template (see {@link TemplateManager#setTemplateStyle})
    * @param {string} [params.idKey=''] - Unique identifier key used in JSON (e.g., "0 $Z")
    * @since 0.65.2
    */
@@ -33,8 +41,12 @@ export default class Template {
     coords = null,
     chunked = null,
     autoColor = false,
+    colorMetric = 'rgb',
+    dither = 'none',
+    enabledColors = null,
     tileSize = 1000,
     enabled = true,
+    style = {},
     idKey = '',
   } = {}) {
     this.displayName = displayName;
@@ -44,254 +56,412 @@ export default class Template {
     this.file = file;
     this.coords = coords;
     this.chunked = chunked;
+    this.tileKeys = []; // The "TTTT,TTTT,PPP,PPP" key of every tile region, including ones that are not loaded yet
+    this.tileLoads = new Map(); // Pending (or finished) loads of each tile region, so each region is only loaded once
     this.autoColor = autoColor;
+    this.colorMetric = colorMetric;
+    this.dither = dither;
+    this.enabledColors = enabledColors;
     this.tileSize = tileSize;
-    this.pixelCount = 0; // Total pixel count in template
+    this.pixelCount = 0; // Total colored pixels in the template. Transparent and #DEFACE pixels are not counted
+    this.width = 0; // Width of the template image in pixels. Known once the tiles are created
+    this.height = 0; // Height of the template image in pixels. Known once the tiles are created
     this.colorIndexTiles = {}; // Per-tile nearest palette indices for live auto-color
+    this.tileProgress = {}; // Per-tile comparison of the template against the live canvas
+    this.tileCounts = {}; // Colored pixels of each tile region, in total ("pixels") and by palette index ("colors")
     this.enabled = enabled; // Whether this template is visible
+    this.style = style; // Opacity for each zoom mode, tint and blend mode, where they differ from the defaults
     this.idKey = idKey; // Unique identifier key used in JSON (e.g., "0 $Z")
   }
 
-  // Finds the nearest palette color (excluding Transparent) using squared Euclidean distance
-  static #nearestPaletteRGB(r, g, b) {
-    let best = null;
-    let bestDist = Infinity;
-    for (const c of colorpalette) {
-      if (c?.name === 'Transparent') { continue; }
-      const [pr, pg, pb] = c.rgb || [];
-      if (pr === undefined) { continue; }
-      const dr = r - pr; const dg = g - pg; const db = b - pb;
-      const dist = dr*dr + dg*dg + db*db;
-      if (dist < bestDist) { bestDist = dist; best = [pr, pg, pb]; }
+  // Exact lookup from "r,g,b" to palette index, used to identify the colors already placed on the canvas
+  static #paletteIndexByRGB = new Map(
+    colorpalette
+      .map((c, i) => [c?.rgb?.join(','), i])
+      .filter(([key, i]) => i > 0 && key) // Index 0 (Transparent) shares its RGB with Black
+  );
+
+  /** Compares one tile region of the template against the live pixels of that tile.
+   * Every colored template pixel is classified as correct, wrong color, or not yet placed.
+   * The result replaces the previous comparison for that tile region, so totals stay current as tiles are re-fetched.
+   * @param {string} tileKey - The "TTTT,TTTT,PPP,PPP" key of the template tile region
+   * @param {Uint8ClampedArray} tilePixels - The RGBA pixels of the entire live tile
+   * @param {number} tileWidth - The width of the live tile in pixels
+   * @returns {{correct: number, wrong: number, unplaced: number, remaining: Uint32Array, status: Uint8Array}|null} The comparison, or null if the region has no index map
+   * @since 0.83.0
+   */
+  updateTileProgress(tileKey, tilePixels, tileWidth) {
+
+    const { w, h, data } = this.colorIndexTiles?.[tileKey] || {};
+    if (!w || !h || !data) {return null;} // Nothing to compare against
+
+    const parts = tileKey.split(','); // [x, y, x, y] Tile/pixel coordinates
+    const startX = Number(parts[2]);
+    const startY = Number(parts[3]);
+
+    let correct = 0;
+    let wrong = 0;
+    let unplaced = 0;
+    const remaining = new Uint32Array(colorpalette.length); // Wrong or unplaced pixels, by the palette index the template wants
+    const status = new Uint8Array(w * h); // Per pixel: 0 = not in template, 1 = correct, 2 = wrong color, 3 = not placed
+
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+
+        const templateIndex = data[y * w + x];
+        if (!templateIndex) {continue;} // Transparent template pixels can be any color
+
+        const p = ((startY + y) * tileWidth + (startX + x)) * 4;
+
+        // Transparent on the canvas means nobody has placed this pixel yet
+        if (!tilePixels[p + 3]) {unplaced++; remaining[templateIndex]++; status[y * w + x] = 3; continue;}
+
+        const liveIndex = Template.#paletteIndexByRGB.get(`${tilePixels[p]},${tilePixels[p + 1]},${tilePixels[p + 2]}`);
+        if (liveIndex === templateIndex) {
+          correct++;
+          status[y * w + x] = 1;
+        } else {
+          wrong++;
+          remaining[templateIndex]++;
+          status[y * w + x] = 2;
+        }
+      }
     }
-    return best || [r, g, b];
+
+    const progress = { correct, wrong, unplaced, remaining, status };
+    this.tileProgress[tileKey] = progress;
+    return progress;
   }
 
-  // Finds the nearest palette index (position in colorpalette, skipping Transparent)
-  static #nearestPaletteIndex(r, g, b) {
-    let bestIndex = 1; // Default to Black
-    let bestDist = Infinity;
-    for (let i = 0; i < colorpalette.length; i++) {
-      const c = colorpalette[i];
-      if (!c || c.name === 'Transparent') continue;
-      const [pr, pg, pb] = c.rgb || [];
-      if (pr === undefined) continue;
-      const dr = r - pr; const dg = g - pg; const db = b - pb;
-      const dist = dr*dr + dg*dg + db*db;
-      if (dist < bestDist) { bestDist = dist; bestIndex = i; }
+  /** Sums the progress of every tile region compared so far.
+   * `total` counts every colored pixel in the template, including tiles that have not been seen yet.
+   * @returns {{correct: number, wrong: number, unplaced: number, total: number}} Running totals for this template
+   * @since 0.83.0
+   */
+  getProgress() {
+
+    const progress = { correct: 0, wrong: 0, unplaced: 0, total: 0 };
+
+    for (const tileProgress of Object.values(this.tileProgress || {})) {
+      progress.correct += tileProgress.correct;
+      progress.wrong += tileProgress.wrong;
+      progress.unplaced += tileProgress.unplaced;
     }
-    return bestIndex;
+
+    progress.total = this.pixelCount; // Counted when the template was created, so unloaded tiles are included
+
+    return progress;
+  }
+
+  /** Sums, for every palette color, how many pixels of the template are that color.
+   * Every tile region is included, even the ones that are not loaded.
+   * @returns {Array<{index: number, count: number}>} Palette indices in the template, sorted by count (highest first)
+   * @since 0.83.0
+   */
+  getColorCounts() {
+
+    const counts = new Uint32Array(colorpalette.length);
+
+    for (const tileCounts of Object.values(this.tileCounts)) {
+      for (const [index, count] of Object.entries(tileCounts?.["colors"] || {})) {
+        counts[index] += count;
+      }
+    }
+
+    return Array.from(counts, (count, index) => ({ index, count }))
+      .filter(color => color.count > 0)
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /** Sums, for every palette color, how many pixels of that color are still wrong or not placed.
+   * Only tile regions that have been compared against the live canvas are counted.
+   * @returns {Array<{index: number, count: number}>} Palette indices with remaining pixels, sorted by count (highest first)
+   * @since 0.83.0
+   */
+  getRemainingByColor() {
+
+    const remaining = new Uint32Array(colorpalette.length);
+
+    for (const tileProgress of Object.values(this.tileProgress || {})) {
+      for (let i = 0; i < remaining.length; i++) {
+        remaining[i] += tileProgress.remaining?.[i] || 0;
+      }
+    }
+
+    return Array.from(remaining, (count, index) => ({ index, count }))
+      .filter(color => color.count > 0)
+      .sort((a, b) => b.count - a.count);
   }
 
   /** Creates chunks of the template for each tile.
-   * 
-   * @returns {Object} Collection of template bitmaps & buffers organized by tile coordinates
+   * The tiling and palette mapping run in a Web Worker when possible, so the page stays responsive.
+   * If the worker can not be started, they run on the main thread instead.
+   * @param {Object} [options={}] - Optional parameters
+   * @param {function({tilesDone: number, tileCount: number}): void} [options.onProgress] - Called after each tile region
+   * @param {AbortSignal} [options.signal] - Cancels the creation
+   * @returns {Object} Collection of template bitmaps & storable blobs organized by tile coordinates
+   * @throws {DOMException} An "AbortError" if cancelled
+   * @throws {Error} If the template can not be processed (e.g. no palette color is enabled)
    * @since 0.65.4
    */
-  async createTemplateTiles() {
+  async createTemplateTiles({ onProgress, signal } = {}) {
     console.log('Template coordinates:', this.coords);
 
-    const shreadSize = 3; // Scale image factor for pixel art enhancement (must be odd)
-    const bitmap = await createImageBitmap(this.file); // Create efficient bitmap from uploaded file
-    const imageWidth = bitmap.width;
-    const imageHeight = bitmap.height;
-    
-    // Calculate total pixel count using standard width × height formula
-    // TODO: Use non-transparent pixels instead of basic width times height
-    const totalPixels = imageWidth * imageHeight;
-    console.log(`Template pixel analysis - Dimensions: ${imageWidth}×${imageHeight} = ${totalPixels.toLocaleString()} pixels`);
-    
+    const request = {
+      bitmap: await createImageBitmap(this.file), // Create efficient bitmap from uploaded file
+      coords: this.coords,
+      tileSize: this.tileSize,
+      shreadSize: 3, // Scale image factor for pixel art enhancement (must be odd)
+      palette: this.#getPalette(),
+      colorMetric: this.colorMetric,
+      dither: this.dither,
+    };
+
+    let result;
+    try {
+      result = await createTemplateTilesInWorker(request, onProgress, signal);
+    } catch (error) {
+      if (error?.name !== 'WorkerUnavailableError') {throw error;} // Cancelled, or the template can not be processed anywhere
+      console.warn('Template worker unavailable, processing the template on the main thread instead:', error);
+      result = await tiling.createTemplateTiles(request, onProgress, signal);
+    }
+
+    console.log(`Template pixel analysis - Dimensions: ${request.bitmap.width}×${request.bitmap.height}, ${result.pixelCount.toLocaleString()} colored pixels`);
+
     // Store pixel count in instance property for access by template manager and UI components
-    this.pixelCount = totalPixels;
+    this.pixelCount = result.pixelCount;
+    this.width = request.bitmap.width;
+    this.height = request.bitmap.height;
 
     const templateTiles = {}; // Holds the original-color template tiles (masked center pixel)
     const templateTilesAuto = {}; // Holds the auto-colored template tiles (masked center pixel)
     const templateTilesFull = {}; // Holds the original-color template tiles without mask (solid)
     const templateTilesAutoFull = {}; // Holds the auto-colored template tiles without mask (solid)
-    const templateTilesBuffers = {}; // Holds the buffers of the original template tiles (masked) for export
+    const templateTilesBlobs = {}; // Holds the PNG blobs of the unscaled template tiles for storage
+
+    for (const [tileKey, tile] of Object.entries(result.tiles)) {
+      templateTiles[tileKey] = tile.original;
+      templateTilesFull[tileKey] = tile.originalFull;
+      templateTilesAuto[tileKey] = tile.auto;
+      templateTilesAutoFull[tileKey] = tile.autoFull;
+      templateTilesBlobs[tileKey] = tile.blob;
+      this.colorIndexTiles[tileKey] = tile.indexMap; // Store live color index map for this tile region
+      this.tileCounts[tileKey] = tile.counts;
+    }
+
+    console.log('Template Tiles: ', templateTiles);
+    return { templateTiles, templateTilesAuto, templateTilesFull, templateTilesAutoFull, templateTilesBlobs };
+  }
 
-    // Reusable canvases to avoid re-allocations inside loops
-    const smallCanvas = new OffscreenCanvas(1, 1); // Unscaled working canvas
-    const smallCtx = smallCanvas.getContext('2d', { willReadFrequently: true });
+  /** Rebuilds every tile variant from stored template tiles.
+   * Stored tiles are the unscaled original-color tiles made by {@link Template#createTemplateTiles}.
+   * Only the passed tile regions are rebuilt, so tiles can be loaded as they are needed.
+   * The color index maps and pixel counts are returned instead of stored, so tiles that are outdated by the time they load can be discarded.
+   * @param {Object<string, Blob>} tileBlobs - The PNG of each tile region, keyed by "TTTT,TTTT,PPP,PPP"
+   * @returns {Promise<Object>} The same collection of bitmaps as {@link Template#createTemplateTiles}, the color index maps and the pixel counts, for the passed tile regions
+   * @since 0.83.0
+   */
+  async loadTemplateTiles(tileBlobs) {
 
-    const largeCanvas = new OffscreenCanvas(1, 1); // Scaled output canvas
-    const largeCtx = largeCanvas.getContext('2d');
-    largeCtx.imageSmoothingEnabled = false; // Nearest neighbor for scaling
+    const shreadSize = 3; // Scale image factor for pixel art enhancement (must be odd)
+    const palette = this.#getPalette();
+
+    const templateTiles = {}; // Holds the original-color template tiles (masked center pixel)
+    const templateTilesAuto = {}; // Holds the auto-colored template tiles (masked center pixel)
+    const templateTilesFull = {}; // Holds the original-color template tiles without mask (solid)
+    const templateTilesAutoFull = {}; // Holds the auto-colored template tiles without mask (solid)
+    const colorIndexTiles = {}; // Holds the color index map of each tile region
+    const tileCounts = {}; // Holds the pixel counts of each tile region. The colors change when the enabled colors do
+
+    const canvases = tiling.createRenderCanvases(shreadSize);
+
+    for (const [tileKey, tileBlob] of Object.entries(tileBlobs || {})) {
+
+      const { width, height, pixels } = await Template.#readBlobPixels(tileBlob);
+
+      const variants = tiling.renderTileVariants(pixels, width, height, canvases, {
+        shreadSize, palette,
+        colorMetric: this.colorMetric,
+        dither: this.dither,
+        ...this.#getTileOrigin(tileKey),
+      });
+      templateTiles[tileKey] = variants.original;
+      templateTilesFull[tileKey] = variants.originalFull;
+      templateTilesAuto[tileKey] = variants.auto;
+      templateTilesAutoFull[tileKey] = variants.autoFull;
+      colorIndexTiles[tileKey] = variants.indexMap;
+      tileCounts[tileKey] = tiling.countTilePixels(variants.indexMap.data);
+    }
+
+    return { templateTiles, templateTilesAuto, templateTilesFull, templateTilesAutoFull, colorIndexTiles, tileCounts };
+  }
+
+  /** Counts the colored pixels of stored template tiles, in total and by palette color, without rendering them.
+   * Used for templates that were stored or exported before pixels were counted.
+   * @param {Object<string, Blob>} tileBlobs - The PNG of each tile region, keyed by "TTTT,TTTT,PPP,PPP"
+   * @returns {Promise<Object<string, {pixels: number, colors: Object<string, number>}>>} The pixel counts of each tile region
+   * @throws {Error} If a tile image can not be decoded
+   * @since 0.83.0
+   */
+  async countTilePixels(tileBlobs) {
+
+    const palette = this.#getPalette();
+    const tileCounts = {};
+
+    for (const [tileKey, tileBlob] of Object.entries(tileBlobs || {})) {
+      const { width, height, pixels } = await Template.#readBlobPixels(tileBlob);
+      const indexMap = matching.mapToPalette(pixels, width, height, palette, {
+        colorMetric: this.colorMetric,
+        dither: this.dither,
+        ...this.#getTileOrigin(tileKey),
+      });
+      tileCounts[tileKey] = tiling.countTilePixels(indexMap);
+    }
+
+    return tileCounts;
+  }
+
+  /** Maps the template image to the palette without splitting it into tiles, to preview it before it is created.
+   * Error diffusion is not restarted at tile borders like it is when the template is created, so dithered previews can differ slightly.
+   * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray, pixelCount: number}>} The palette-mapped pixels, and the number of colored pixels
+   * @since 0.83.0
+   */
+  async createPreview() {
+
+    const palette = this.#getPalette();
+    const { width, height, indexMap } = await this.createIndexMap();
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < indexMap.length; i++) {
+      if (!indexMap[i]) {continue;} // Transparent and #DEFACE pixels stay transparent
+      const [r, g, b] = palette[indexMap[i]];
+      data[i * 4] = r; data[i * 4 + 1] = g; data[i * 4 + 2] = b; data[i * 4 + 3] = 255;
+    }
+
+    return { width, height, data, pixelCount: tiling.countTilePixels(indexMap)["pixels"] };
+  }
+
+  /** Maps the template image to the palette without splitting it into tiles, and returns the palette index of every pixel.
+   * @returns {Promise<{width: number, height: number, indexMap: Uint8Array}>} The size of the image, and the palette index of every pixel. 0 means the pixel is not part of the template
+   * @since 0.83.0
+   */
+  async createIndexMap() {
+
+    const { width, height, pixels } = await Template.#readBlobPixels(this.file);
+    const [tileX = 0, tileY = 0, pixelX = 0, pixelY = 0] = this.coords || [];
+
+    const indexMap = matching.mapToPalette(pixels, width, height, this.#getPalette(), {
+      colorMetric: this.colorMetric,
+      dither: this.dither,
+      originX: tileX * this.tileSize + pixelX,
+      originY: tileY * this.tileSize + pixelY,
+    });
+
+    return { width, height, indexMap };
+  }
+
+  /** Returns the absolute pixel coordinates of a tile region.
+   * Used as the origin of ordered dithering, so tiles are dithered the same as when the template was created.
+   * @param {string} tileKey - The "TTTT,TTTT,PPP,PPP" key of the tile region
+   * @returns {{originX: number, originY: number}} The absolute coordinates of the top left pixel
+   * @since 0.83.0
+   */
+  #getTileOrigin(tileKey) {
+    const [tileX, tileY, pixelX, pixelY] = tileKey.split(',').map(Number);
+    return { originX: tileX * this.tileSize + pixelX, originY: tileY * this.tileSize + pixelY };
+  }
+
+  /** Returns the palette colors are mapped to.
+   * Colors that are not enabled are left out (null), so they are never matched.
+   * @returns {Array<number[]|null>} The RGB of each palette color, by palette index
+   * @since 0.83.0
+   */
+  #getPalette() {
+    return colorpalette.map((color, index) => (!this.enabledColors || this.enabledColors.includes(index)) ? color.rgb : null);
+  }
+
+  /** Converts a tile stored by older versions (scaled and masked) into an unscaled tile.
+   * The unscaled pixels are recovered from the center pixel of each block.
+   * @param {Blob} tileBlob - The scaled and masked PNG of the tile region
+   * @param {number} [shreadSize=3] - Scale image factor the tile was stored with (must be odd)
+   * @returns {Promise<Blob>} The unscaled PNG of the tile region
+   * @since 0.83.0
+   */
+  static async unscaleLegacyTile(tileBlob, shreadSize = 3) {
 
-    // Prebuild a repeating dot mask to only keep the center pixel of each shreadSize×shreadSize block
-    const maskCanvas = new OffscreenCanvas(shreadSize, shreadSize);
-    const maskCtx = maskCanvas.getContext('2d');
-    maskCtx.clearRect(0, 0, shreadSize, shreadSize);
-    maskCtx.fillStyle = '#ffffff';
     const center = Math.floor(shreadSize / 2);
-    maskCtx.fillRect(center, center, 1, 1); // Single opaque pixel in the center
-    // Pattern will be created per-draw on the destination context
-
-    // For every tile...
-    for (let pixelY = this.coords[3]; pixelY < imageHeight + this.coords[3]; ) {
-
-      // Draws the partial tile first, if any
-      // This calculates the size based on which is smaller:
-      // A. The top left corner of the current tile to the bottom right corner of the current tile
-      // B. The top left corner of the current tile to the bottom right corner of the image
-      const drawSizeY = Math.min(this.tileSize - (pixelY % this.tileSize), imageHeight - (pixelY - this.coords[3]));
-
-      console.log(`Math.min(${this.tileSize} - (${pixelY} % ${this.tileSize}), ${imageHeight} - (${pixelY - this.coords[3]}))`);
-
-      for (let pixelX = this.coords[2]; pixelX < imageWidth + this.coords[2];) {
-
-        console.log(`Pixel X: ${pixelX}\nPixel Y: ${pixelY}`);
-
-        // Draws the partial tile first, if any
-        // This calculates the size based on which is smaller:
-        // A. The top left corner of the current tile to the bottom right corner of the current tile
-        // B. The top left corner of the current tile to the bottom right corner of the image
-        const drawSizeX = Math.min(this.tileSize - (pixelX % this.tileSize), imageWidth - (pixelX - this.coords[2]));
-
-        console.log(`Math.min(${this.tileSize} - (${pixelX} % ${this.tileSize}), ${imageWidth} - (${pixelX - this.coords[2]}))`);
-
-        console.log(`Draw Size X: ${drawSizeX}\nDraw Size Y: ${drawSizeY}`);
-
-        // Step 1: draw the original-size sub-image into a small working canvas
-        smallCanvas.width = drawSizeX;
-        smallCanvas.height = drawSizeY;
-        smallCtx.clearRect(0, 0, drawSizeX, drawSizeY);
-        smallCtx.drawImage(
-          bitmap,
-          pixelX - this.coords[2],
-          pixelY - this.coords[3],
-          drawSizeX,
-          drawSizeY,
-          0,
-          0,
-          drawSizeX,
-          drawSizeY
-        );
-
-        // Apply #deface and build both original and mapped pixel arrays
-        const srcImageData = smallCtx.getImageData(0, 0, drawSizeX, drawSizeY);
-        const src = srcImageData.data;
-        const orig = new Uint8ClampedArray(src); // copy
-        const mapped = new Uint8ClampedArray(src); // will be palette-mapped
-        const idxMap = new Uint8Array(drawSizeX * drawSizeY); // 0 means no color/transparent
-        for (let y = 0; y < drawSizeY; y++) {
-          for (let x = 0; x < drawSizeX; x++) {
-            const p = (y * drawSizeX + x) * 4;
-            const r = src[p], g = src[p + 1], b = src[p + 2];
-            const a = src[p + 3];
-            // Treat color #DEFACE specially
-            if (r === 222 && g === 250 && b === 206) {
-              if ((x + y) % 2 === 0) {
-                // translucent black
-                orig[p] = 0; orig[p + 1] = 0; orig[p + 2] = 0; orig[p + 3] = 32;
-                mapped[p] = 0; mapped[p + 1] = 0; mapped[p + 2] = 0; mapped[p + 3] = 32;
-              } else {
-                // transparent
-                orig[p + 3] = 0; mapped[p + 3] = 0;
-              }
-              idxMap[y * drawSizeX + x] = 0;
-            } else if (a !== 0) {
-              // Non-transparent pixel: force full opacity for solid squares
-              // Precompute nearest palette index for live auto-color and recolor mapped
-              idxMap[y * drawSizeX + x] = Template.#nearestPaletteIndex(r, g, b);
-              const [nr, ng, nb] = Template.#nearestPaletteRGB(r, g, b);
-              // Keep original RGB in 'orig' but ensure full alpha
-              orig[p] = r; orig[p + 1] = g; orig[p + 2] = b; orig[p + 3] = 255;
-              // Use nearest palette color in 'mapped' with full alpha
-              mapped[p] = nr; mapped[p + 1] = ng; mapped[p + 2] = nb; mapped[p + 3] = 255;
-            } else {
-              idxMap[y * drawSizeX + x] = 0;
-            }
-          }
-        }
+    const stored = await Template.#readBlobPixels(tileBlob);
+
+    const width = Math.max(1, Math.round(stored.width / shreadSize));
+    const height = Math.max(1, Math.round(stored.height / shreadSize));
+    const pixels = new Uint8ClampedArray(width * height * 4);
 
-        const origImageData = new ImageData(orig, drawSizeX, drawSizeY);
-        const mappedImageData = new ImageData(mapped, drawSizeX, drawSizeY);
-
-        const canvasWidth = drawSizeX * shreadSize;
-        const canvasHeight = drawSizeY * shreadSize;
-
-        // Helper to draw small -> large with mask and return bitmap
-        const renderToBitmap = (imgData) => {
-          smallCtx.putImageData(imgData, 0, 0);
-          largeCanvas.width = canvasWidth;
-          largeCanvas.height = canvasHeight;
-          largeCtx.clearRect(0, 0, canvasWidth, canvasHeight);
-          largeCtx.drawImage(smallCanvas, 0, 0, canvasWidth, canvasHeight);
-          largeCtx.save();
-          largeCtx.globalCompositeOperation = 'destination-in';
-          const pattern = largeCtx.createPattern(maskCanvas, 'repeat');
-          largeCtx.fillStyle = pattern;
-          largeCtx.fillRect(0, 0, canvasWidth, canvasHeight);
-          largeCtx.restore();
-          return largeCanvas.transferToImageBitmap();
-        };
-
-        // Helper to draw small -> large WITHOUT mask and return bitmap (solid preview)
-        const renderToBitmapNoMask = (imgData) => {
-          smallCtx.putImageData(imgData, 0, 0);
-          largeCanvas.width = canvasWidth;
-          largeCanvas.height = canvasHeight;
-          largeCtx.clearRect(0, 0, canvasWidth, canvasHeight);
-          largeCtx.drawImage(smallCanvas, 0, 0, canvasWidth, canvasHeight);
-          return largeCanvas.transferToImageBitmap();
-        };
-
-        // Creates the "0000,0000,000,000" key name
-        const templateTileName = `${(this.coords[0] + Math.floor(pixelX / 1000))
-          .toString()
-          .padStart(4, '0')},${(this.coords[1] + Math.floor(pixelY / 1000))
-          .toString()
-          .padStart(4, '0')},${(pixelX % 1000)
-          .toString()
-          .padStart(3, '0')},${(pixelY % 1000).toString().padStart(3, '0')}`;
-
-        // Store live color index map for this tile region
-        this.colorIndexTiles[templateTileName] = { w: drawSizeX, h: drawSizeY, data: idxMap };
-
-        // Render and store both versions
-        const bmpOriginal = renderToBitmap(origImageData);
-        templateTiles[templateTileName] = bmpOriginal;
-        const bmpOriginalFull = renderToBitmapNoMask(origImageData);
-        templateTilesFull[templateTileName] = bmpOriginalFull;
-        const bmpAuto = renderToBitmap(mappedImageData);
-        templateTilesAuto[templateTileName] = bmpAuto;
-        const bmpAutoFull = renderToBitmapNoMask(mappedImageData);
-        templateTilesAutoFull[templateTileName] = bmpAutoFull;
-
-        // Also persist the original version as buffer for JSON export
-        const canvasBlob = await (async () => {
-          // Re-draw original into largeCanvas for buffer export
-          smallCtx.putImageData(origImageData, 0, 0);
-          largeCanvas.width = canvasWidth;
-          largeCanvas.height = canvasHeight;
-          largeCtx.clearRect(0, 0, canvasWidth, canvasHeight);
-          largeCtx.drawImage(smallCanvas, 0, 0, canvasWidth, canvasHeight);
-          largeCtx.save();
-          largeCtx.globalCompositeOperation = 'destination-in';
-          const pattern = largeCtx.createPattern(maskCanvas, 'repeat');
-          largeCtx.fillStyle = pattern;
-          largeCtx.fillRect(0, 0, canvasWidth, canvasHeight);
-          largeCtx.restore();
-          return await largeCanvas.convertToBlob();
-        })();
-        const canvasBuffer = await canvasBlob.arrayBuffer();
-        const canvasBufferBytes = Array.from(new Uint8Array(canvasBuffer));
-        templateTilesBuffers[templateTileName] = uint8ToBase64(canvasBufferBytes); // Stores the buffer
-        
-        console.log(templateTiles);
-
-        pixelX += drawSizeX;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const s = ((y * shreadSize + center) * stored.width + (x * shreadSize + center)) * 4;
+        const p = (y * width + x) * 4;
+        const a = stored.pixels[s + 3];
+        if (a > 0 && a < 255) {
+          // Only #DEFACE pixels are stored translucent, so restore the color that made them
+          pixels[p] = 222; pixels[p + 1] = 250; pixels[p + 2] = 206; pixels[p + 3] = 255;
+        } else {
+          pixels[p] = stored.pixels[s]; pixels[p + 1] = stored.pixels[s + 1]; pixels[p + 2] = stored.pixels[s + 2]; pixels[p + 3] = a;
+        }
       }
+    }
+
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').putImageData(new ImageData(tiling.toStoredPixels(pixels), width, height), 0, 0);
+    return canvas.convertToBlob({ type: 'image/png' });
+  }
+
+  /** Joins the stored tiles of a template back into one image, so the template can be tiled again somewhere else.
+   * Stored tiles are unscaled and keep their original colors, so the joined image is the same as the one the template was created from.
+   * @param {Object<string, Blob>} tileBlobs - The PNG of each tile region, keyed by "TTTT,TTTT,PPP,PPP"
+   * @param {Array<number>} coords - The coordinates of the top left corner of the template as (tileX, tileY, pixelX, pixelY)
+   * @param {number} [tileSize=1000] - The size of a tile in pixels
+   * @returns {Promise<Blob>} The PNG of the whole template
+   * @since 0.83.0
+   */
+  static async joinTemplateTiles(tileBlobs, coords, tileSize = 1000) {
 
-      pixelY += drawSizeY;
+    const originX = coords[0] * tileSize + coords[2];
+    const originY = coords[1] * tileSize + coords[3];
+
+    // Every tile region is placed relative to the top left corner of the template
+    const placedTiles = [];
+    let width = 1;
+    let height = 1;
+    for (const [tileKey, tileBlob] of Object.entries(tileBlobs)) {
+      const [tileX, tileY, pixelX, pixelY] = tileKey.split(',').map(Number);
+      const bitmap = await createImageBitmap(tileBlob);
+      const x = tileX * tileSize + pixelX - originX;
+      const y = tileY * tileSize + pixelY - originY;
+      width = Math.max(width, x + bitmap.width);
+      height = Math.max(height, y + bitmap.height);
+      placedTiles.push({ bitmap, x, y });
     }
 
-    console.log('Template Tiles: ', templateTiles);
-    console.log('Template Tiles Auto: ', templateTilesAuto);
-    console.log('Template Tiles Full: ', templateTilesFull);
-    console.log('Template Tiles Auto Full: ', templateTilesAutoFull);
-    console.log('Template Tiles Buffers: ', templateTilesBuffers);
-    return { templateTiles, templateTilesAuto, templateTilesFull, templateTilesAutoFull, templateTilesBuffers };
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    for (const { bitmap, x, y } of placedTiles) {
+      context.drawImage(bitmap, x, y);
+      bitmap.close();
+    }
+    return canvas.convertToBlob({ type: 'image/png' });
+  }
+
+  /** Decodes an image blob into its RGBA pixels.
+   * @param {Blob} blob - The image to decode
+   * @returns {Promise<{width: number, height: number, pixels: Uint8ClampedArray}>} The size and pixels of the image
+   * @since 0.83.0
+   */
+  static async #readBlobPixels(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return { width: canvas.width, height: canvas.height, pixels: context.getImageData(0, 0, canvas.width, canvas.height).data };
   }
 }
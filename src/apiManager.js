@@ -18,6 +18,7 @@ export default class ApiManager {
     this.disableAll = false; // Should the entire userscript be disabled?
     this.coordsTilePixel = []; // Contains the last detected tile/pixel coordinate pair requested
     this.templateCoordsTilePixel = []; // Contains the last "enabled" template coords
+    this.onCoordsUpdate = null; // Called with the tile/pixel coordinates as numbers whenever a pixel is clicked
   }
 
   /** Determines if the spontaneously recieved response is something we want.
@@ -90,6 +91,7 @@ export default class ApiManager {
           }
           
           this.coordsTilePixel = [...coordsTile, ...coordsPixel]; // Combines the two arrays such that [x, y, x, y]
+          try { this.onCoordsUpdate?.(this.coordsTilePixel.map(Number)); } catch (e) { console.warn('onCoordsUpdate failed:', e); }
 
           // Attempt to auto-select the site's palette color based on the template and pixel
           // Only acts when live auto-color is enabled; otherwise it's a safe no-op
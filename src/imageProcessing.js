@@ -0,0 +1,223 @@
+/** Pre-processing of template images before they are placed: cropping, scaling, flipping and rotating.
+ * Images are handled as `{width, height, data}` objects (like ImageData), so every step works on plain pixel arrays.
+ * @since 0.83.0
+ */
+
+/** The pre-processing options that leave an image unchanged.
+ * @type {{crop: null, width: null, height: null, resample: string, flipX: boolean, flipY: boolean, rotation: number}}
+ * @since 0.83.0
+ */
+export const defaultPreprocessOptions = Object.freeze({
+  crop: null, // {x, y, width, height} of the source image to keep, or null to keep all of it
+  width: null, // Width after rotating, or null to keep the (cropped) width
+  height: null, // Height after rotating, or null to keep the (cropped) height
+  resample: 'nearest', // 'nearest' (nearest-neighbor) or 'average' (area-average, when shrinking)
+  flipX: false, // Mirror horizontally
+  flipY: false, // Mirror vertically
+  rotation: 0, // Clockwise rotation in degrees. Must be a multiple of 90
+});
+
+/** Checks if pre-processing options would change an image.
+ * @param {Object} options - The pre-processing options (see {@link defaultPreprocessOptions})
+ * @returns {boolean} True if any option changes the image
+ * @since 0.83.0
+ */
+export function isPreprocessing(options) {
+  return !!(options?.crop || options?.width || options?.height || options?.flipX || options?.flipY || ((options?.rotation || 0) % 360));
+}
+
+/** Crops an image to a rectangle. The rectangle is clamped to the image.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - The image to crop
+ * @param {{x: number, y: number, width: number, height: number}} rect - The rectangle to keep
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The cropped image
+ * @since 0.83.0
+ */
+export function cropPixels(image, rect) {
+
+  const x = Math.min(Math.max(0, Math.floor(rect.x || 0)), image.width - 1);
+  const y = Math.min(Math.max(0, Math.floor(rect.y || 0)), image.height - 1);
+  const width = Math.max(1, Math.min(Math.floor(rect.width || image.width), image.width - x));
+  const height = Math.max(1, Math.min(Math.floor(rect.height || image.height), image.height - y));
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let row = 0; row < height; row++) {
+    const start = ((y + row) * image.width + x) * 4;
+    data.set(image.data.subarray(start, start + width * 4), row * width * 4);
+  }
+
+  return { width, height, data };
+}
+
+/** Resizes an image.
+ * Nearest-neighbor keeps hard pixel edges. Area-average blends every source pixel a target pixel covers,
+ * which keeps detail when shrinking photos. Area-average falls back to nearest-neighbor when enlarging.
+ * Pixels are kept fully opaque or fully transparent, since templates can not have translucent pixels.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - The image to resize
+ * @param {number} width - The new width in pixels
+ * @param {number} height - The new height in pixels
+ * @param {'nearest'|'average'} [resample='nearest'] - How pixels are combined
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The resized image
+ * @since 0.83.0
+ */
+export function resizePixels(image, width, height, resample = 'nearest') {
+
+  width = Math.max(1, Math.round(width));
+  height = Math.max(1, Math.round(height));
+  const data = new Uint8ClampedArray(width * height * 4);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  if (resample !== 'average' || (scaleX <= 1 && scaleY <= 1)) {
+    for (let y = 0; y < height; y++) {
+      const sourceY = Math.min(image.height - 1, Math.floor((y + 0.5) * scaleY));
+      for (let x = 0; x < width; x++) {
+        const sourceX = Math.min(image.width - 1, Math.floor((x + 0.5) * scaleX));
+        const s = (sourceY * image.width + sourceX) * 4;
+        data.set(image.data.subarray(s, s + 4), (y * width + x) * 4);
+      }
+    }
+    return { width, height, data };
+  }
+
+  for (let y = 0; y < height; y++) {
+    const top = y * scaleY;
+    const bottom = Math.min(image.height, top + scaleY);
+    for (let x = 0; x < width; x++) {
+      const left = x * scaleX;
+      const right = Math.min(image.width, left + scaleX);
+
+      // Sums every source pixel the target pixel covers, weighted by how much of it is covered and by its opacity
+      let r = 0; let g = 0; let b = 0; let alpha = 0; let area = 0;
+      for (let sourceY = Math.floor(top); sourceY < bottom; sourceY++) {
+        const coverY = Math.min(bottom, sourceY + 1) - Math.max(top, sourceY);
+        for (let sourceX = Math.floor(left); sourceX < right; sourceX++) {
+          const coverage = coverY * (Math.min(right, sourceX + 1) - Math.max(left, sourceX));
+          const s = (sourceY * image.width + sourceX) * 4;
+          const weight = coverage * image.data[s + 3];
+          r += image.data[s] * weight; g += image.data[s + 1] * weight; b += image.data[s + 2] * weight;
+          alpha += weight;
+          area += coverage;
+        }
+      }
+
+      const p = (y * width + x) * 4;
+      if (alpha / area < 128) {continue;} // Mostly transparent
+      data[p] = r / alpha; data[p + 1] = g / alpha; data[p + 2] = b / alpha; data[p + 3] = 255;
+    }
+  }
+
+  return { width, height, data };
+}
+
+/** Mirrors an image.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - The image to mirror
+ * @param {boolean} flipX - Mirror horizontally
+ * @param {boolean} flipY - Mirror vertically
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The mirrored image
+ * @since 0.83.0
+ */
+export function flipPixels(image, flipX, flipY) {
+
+  const { width, height } = image;
+  const data = new Uint8ClampedArray(image.data.length);
+
+  for (let y = 0; y < height; y++) {
+    const sourceY = flipY ? (height - 1 - y) : y;
+    for (let x = 0; x < width; x++) {
+      const sourceX = flipX ? (width - 1 - x) : x;
+      const s = (sourceY * width + sourceX) * 4;
+      data.set(image.data.subarray(s, s + 4), (y * width + x) * 4);
+    }
+  }
+
+  return { width, height, data };
+}
+
+/** Rotates an image clockwise by a multiple of 90 degrees.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - The image to rotate
+ * @param {number} rotation - The clockwise rotation in degrees. Must be a multiple of 90
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The rotated image
+ * @since 0.83.0
+ */
+export function rotatePixels(image, rotation) {
+
+  const turns = ((Math.round(rotation / 90) % 4) + 4) % 4;
+  if (turns === 0) {return image;}
+
+  const width = (turns % 2) ? image.height : image.width;
+  const height = (turns % 2) ? image.width : image.height;
+  const data = new Uint8ClampedArray(image.data.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Finds the source pixel that ends up at (x, y)
+      let sourceX = x; let sourceY = y;
+      if (turns === 1) {sourceX = y; sourceY = image.height - 1 - x;}
+      else if (turns === 2) {sourceX = image.width - 1 - x; sourceY = image.height - 1 - y;}
+      else {sourceX = image.width - 1 - y; sourceY = x;}
+      const s = (sourceY * image.width + sourceX) * 4;
+      data.set(image.data.subarray(s, s + 4), (y * width + x) * 4);
+    }
+  }
+
+  return { width, height, data };
+}
+
+/** Applies every pre-processing step to an image, in order: crop, resize, flip, then rotate.
+ * The target width and height are of the final (rotated) image.
+ * If only one of them is set, the other keeps the aspect ratio.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - The image to process
+ * @param {Object} options - The pre-processing options (see {@link defaultPreprocessOptions})
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The processed image
+ * @since 0.83.0
+ */
+export function transformPixels(image, options) {
+
+  const { crop, width, height, resample, flipX, flipY, rotation } = { ...defaultPreprocessOptions, ...options };
+
+  if (crop) {image = cropPixels(image, crop);}
+
+  if (width || height) {
+    const isSideways = (((Math.round(rotation / 90) % 2) + 2) % 2) === 1; // Width and height swap when rotated sideways
+    const finalWidth = isSideways ? image.height : image.width;
+    const finalHeight = isSideways ? image.width : image.height;
+    const targetWidth = width || Math.round(finalWidth * height / finalHeight);
+    const targetHeight = height || Math.round(finalHeight * width / finalWidth);
+    image = resizePixels(image, isSideways ? targetHeight : targetWidth, isSideways ? targetWidth : targetHeight, resample);
+  }
+
+  if (flipX || flipY) {image = flipPixels(image, flipX, flipY);}
+
+  return rotatePixels(image, rotation);
+}
+
+/** Decodes an image file into its pixels.
+ * @param {Blob} blob - The image file
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>} The pixels of the image
+ * @since 0.83.0
+ */
+export async function readImagePixels(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const { width, height, data } = context.getImageData(0, 0, canvas.width, canvas.height);
+  return { width, height, data };
+}
+
+/** Pre-processes an image file, and encodes the result as a PNG.
+ * @param {Blob} blob - The image file
+ * @param {Object} options - The pre-processing options (see {@link defaultPreprocessOptions})
+ * @returns {Promise<Blob>} The processed image, or the original file if the options do not change it
+ * @since 0.83.0
+ */
+export async function preprocessImage(blob, options) {
+
+  if (!isPreprocessing(options)) {return blob;}
+
+  const image = transformPixels(await readImagePixels(blob), options);
+  const canvas = new OffscreenCanvas(image.width, image.height);
+  canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+  return canvas.convertToBlob({ type: 'image/png' });
+}
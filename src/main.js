@@ -6,7 +6,9 @@ import Overlay from './Overlay.js';
 import Observers from './observers.js';
 import ApiManager from './apiManager.js';
 import TemplateManager from './templateManager.js';
-import { consoleLog, consoleWarn } from './utils.js';
+import { consoleLog, consoleWarn, colorpalette } from './utils.js';
+import { paletteMatching } from './palette.js';
+import { preprocessImage, isPreprocessing } from './imageProcessing.js';
 
 const name = GM_info.script.name.toString(); // Name of userscript
 const version = GM_info.script.version.toString(); // Version of userscript
@@ -252,6 +254,12 @@ GM_addStyle(`
     border: 1px solid rgba(255,255,255,0.08);
     background: rgba(255,255,255,0.05);
   }
+  #bm-template-list .bm-tmpl-info {
+    display: flex;
+    flex-direction: column;
+    flex: 1 1 auto;
+    min-width: 0;
+  }
   #bm-template-list .bm-tmpl-name {
     flex: 1 1 auto;
     min-width: 0;
@@ -260,6 +268,11 @@ GM_addStyle(`
     text-overflow: ellipsis;
     font-size: 12px;
   }
+  #bm-template-list .bm-tmpl-progress {
+    font-size: 10px;
+    opacity: .75;
+    white-space: nowrap;
+  }
   #bm-template-list .bm-tmpl-actions { display: flex; gap: 6px; }
   #bm-template-list .bm-tmpl-actions button {
     all: unset;
@@ -273,8 +286,202 @@ GM_addStyle(`
     line-height: 1.2;
   }
   #bm-template-list .bm-tmpl-actions button:hover { background: #273244; border-color: #4b5563; }
+  #bm-template-list .bm-tmpl-actions .bm-tmpl-order { padding: 4px 6px; }
+  #bm-template-list .bm-tmpl-actions button:disabled { opacity: .4; cursor: default; }
   #bm-template-list .bm-tmpl-actions .bm-tmpl-remove { background: #3b1f1f; border-color: #5b2c2c; color: #fca5a5; }
   #bm-template-list .bm-tmpl-actions .bm-tmpl-remove:hover { background: #4a2323; border-color: #7f1d1d; }
+  #bm-template-list .bm-tmpl-select { margin: 0; flex: 0 0 auto; }
+  #bm-template-list .bm-tmpl-item { flex-wrap: wrap; }
+  #bm-template-list .bm-tmpl-name { cursor: pointer; }
+  #bm-template-list .bm-tmpl-group-header { display: flex; align-items: center; gap: 6px; padding: 2px 0; }
+  #bm-template-list .bm-tmpl-group-name { flex: 1 1 auto; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  #bm-template-list .bm-tmpl-group-name small { font-weight: normal; opacity: .75; }
+  #bm-template-list .bm-tmpl-group-collapse { all: unset; cursor: pointer; width: 1em; text-align: center; }
+  #bm-template-list .bm-tmpl-group-list { list-style: none; padding: 0 0 0 10px; margin: 0; display: flex; flex-direction: column; gap: 6px; }
+  #bm-template-list .bm-tmpl-memory { font-size: 10px; opacity: .75; white-space: nowrap; }
+  #bm-template-list .bm-tmpl-budget { font-size: 10px; color: #fca5a5; }
+  #bm-template-list .bm-tmpl-url { font-size: 10px; opacity: .75; }
+  #bm-template-list .bm-tmpl-details-form { flex: 1 0 100%; display: flex; flex-direction: column; gap: 4px; font-size: 12px; }
+  #bm-template-list .bm-tmpl-details-form input,
+  #bm-template-list .bm-tmpl-details-form textarea { width: 100%; box-sizing: border-box; }
+  #bm-template-list .bm-tmpl-details-form dl { display: grid; grid-template-columns: auto 1fr; gap: 2px 8px; margin: 0; }
+  #bm-template-list .bm-tmpl-details-form dt { opacity: .75; }
+  #bm-template-list .bm-tmpl-details-form dd { margin: 0; overflow-wrap: anywhere; }
+  #bm-template-list .bm-tmpl-style-form { flex: 1 0 100%; display: flex; flex-wrap: wrap; align-items: center; gap: 4px 8px; font-size: 12px; }
+  #bm-template-list .bm-tmpl-style-form input[type="range"] { width: 6em; vertical-align: middle; }
+  #bm-template-list .bm-tmpl-style-form input[type="color"] { width: 2em; height: 1.5em; padding: 0; vertical-align: middle; }
+  #bm-template-list .bm-tmpl-move-form { flex: 1 0 100%; display: flex; flex-wrap: wrap; align-items: center; gap: 4px; }
+  #bm-template-list .bm-tmpl-move-form input { width: 4.5em; }
+  #bm-template-list .bm-tmpl-move-form button,
+  #bm-template-list .bm-tmpl-style-form button,
+  #bm-template-list .bm-tmpl-details-form button {
+    all: unset;
+    cursor: pointer;
+    padding: 2px 8px;
+    border-radius: 6px;
+    border: 1px solid #374151;
+    background: #1f2937;
+    color: #e5e7eb;
+    font-size: 12px;
+    line-height: 1.2;
+  }
+  #bm-template-list .bm-tmpl-move-form button:hover,
+  #bm-template-list .bm-tmpl-style-form button:hover,
+  #bm-template-list .bm-tmpl-details-form button:hover { background: #273244; border-color: #4b5563; }
+
+  /* Export/Import buttons */
+  #bm-contain-buttons-io {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: center;
+    gap: 1ch;
+    margin-top: 0.5em;
+  }
+
+  /* Template subscription by URL, and templates from share codes */
+  #bm-contain-subscribe,
+  #bm-contain-share {
+    display: flex;
+    gap: 1ch;
+    margin-top: 0.5em;
+  }
+  #bm-contain-subscribe input,
+  #bm-contain-share input {
+    flex: 1 1 auto;
+    min-width: 0;
+  }
+
+  /* Template pre-processing panel */
+  #bm-contain-preprocess {
+    margin-top: 4px;
+    font-size: 12px;
+  }
+  #bm-contain-preprocess .bm-preprocess-row {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 4px;
+    margin-bottom: 4px;
+  }
+  #bm-contain-preprocess input[type="number"] { width: 6ch; flex: 1 1 0; min-width: 0; }
+  #bm-canvas-preview {
+    display: block;
+    max-width: 100%;
+    max-height: 160px;
+    margin: 0 auto;
+    image-rendering: pixelated;
+    background: repeating-conic-gradient(rgba(255,255,255,0.15) 0% 25%, transparent 0% 50%) 50% / 8px 8px;
+  }
+  #bm-preprocess-info { display: block; text-align: center; white-space: pre-line; }
+
+  /* Palette subset panel */
+  #bm-palette-subset {
+    margin-top: 4px;
+    font-size: 12px;
+  }
+  #bm-palette-subset summary { cursor: pointer; }
+  #bm-palette-subset .bm-palette-actions {
+    display: flex;
+    gap: 6px;
+    margin: 4px 0;
+  }
+  #bm-palette-subset .bm-palette-actions button {
+    all: unset;
+    cursor: pointer;
+    padding: 2px 8px;
+    border-radius: 6px;
+    border: 1px solid #374151;
+    background: #1f2937;
+    color: #e5e7eb;
+    font-size: 11px;
+  }
+  #bm-palette-subset .bm-palette-list {
+    list-style: none;
+    padding: 0;
+    margin: 0;
+    display: grid;
+    grid-template-columns: repeat(2, minmax(0, 1fr));
+    gap: 2px 8px;
+    max-height: 160px;
+    overflow: auto;
+  }
+  #bm-palette-subset label {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    cursor: pointer;
+  }
+  #bm-palette-subset input { margin: 0; }
+  #bm-palette-subset .bm-color-swatch {
+    flex: 0 0 auto;
+    width: 12px;
+    height: 12px;
+    border-radius: 3px;
+    border: 1px solid rgba(255,255,255,0.4);
+  }
+  #bm-palette-subset .bm-color-name { min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+
+  /* Remaining colors panel */
+  #bm-color-breakdown {
+    margin-top: 8px;
+    padding: 8px;
+    border-radius: 10px;
+    border: 1px solid rgba(255,255,255,0.08);
+    background: rgba(0,0,0,0.35);
+    max-height: 200px;
+    overflow: auto;
+    font-size: 12px;
+  }
+  #bm-color-breakdown:empty { display: none; }
+  #bm-color-breakdown .bm-color-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 6px;
+    margin-bottom: 4px;
+  }
+  #bm-color-breakdown .bm-color-section + .bm-color-section { margin-top: 6px; }
+  #bm-color-breakdown .bm-color-list {
+    list-style: none;
+    padding: 0;
+    margin: 4px 0 0 0;
+    display: flex;
+    flex-direction: column;
+    gap: 2px;
+  }
+  #bm-color-breakdown .bm-color-row {
+    all: unset;
+    box-sizing: border-box;
+    cursor: pointer;
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    width: 100%;
+    padding: 2px 6px;
+    border-radius: 6px;
+    border: 1px solid transparent;
+  }
+  #bm-color-breakdown .bm-color-row:hover { background: rgba(255,255,255,0.08); }
+  #bm-color-breakdown .bm-color-row.bm-color-active { border-color: #e5e7eb; background: rgba(255,255,255,0.12); }
+  #bm-color-breakdown .bm-color-swatch {
+    flex: 0 0 auto;
+    width: 12px;
+    height: 12px;
+    border-radius: 3px;
+    border: 1px solid rgba(255,255,255,0.4);
+  }
+  #bm-color-breakdown .bm-color-name { flex: 1 1 auto; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  #bm-color-breakdown .bm-color-count { flex: 0 0 auto; opacity: .85; }
+  #bm-color-breakdown .bm-color-clear {
+    all: unset;
+    cursor: pointer;
+    padding: 2px 8px;
+    border-radius: 6px;
+    border: 1px solid #374151;
+    background: #1f2937;
+    color: #e5e7eb;
+    font-size: 11px;
+  }
 `);
 
 // Imports the Roboto Mono font family
@@ -296,6 +503,27 @@ const templateManager = new TemplateManager(name, version, overlayMain); // Cons
 const apiManager = new ApiManager(templateManager); // Constructs a new ApiManager object
 
 overlayMain.setApiManager(apiManager); // Sets the API manager
+apiManager.onCoordsUpdate = (coords) => { if (templatePlacement) { moveTemplatePlacement(coords); } }; // Clicking the map moves the template that is being placed
+templateManager.onProgressUpdate = () => { renderTemplateProgress(); renderColorBreakdown(); }; // Keeps the progress in the template list current
+templateManager.setColorMetric(GM_getValue('bmColorMetric', templateManager.colorMetric)); // Restores the color matching of new templates
+templateManager.setDither(GM_getValue('bmDither', templateManager.dither)); // Restores the dithering of new templates
+
+// The palette colors templates are mapped to. The source is 'site' when read from the website, or 'user' when picked by hand
+const storedPaletteSubset = JSON.parse(GM_getValue('bmPaletteSubset', '{}'));
+templateManager.setEnabledColors(storedPaletteSubset['enabledColors'] ?? null);
+let paletteSubsetSource = storedPaletteSubset['source'] || null;
+let paletteSubsetDetected = false; // The website palette is only read automatically once per page load
+
+const templateSelection = new Set(); // The idKeys of the templates selected in the template list
+let templateMoveID = null; // The idKey of the template whose move controls are open in the template list
+let templateStyleID = null; // The idKey of the template whose style controls are open in the template list
+let templateDetailsID = null; // The idKey of the template whose details are open in the template list
+const collapsedTemplateGroups = new Set(); // The names of the groups that are collapsed in the template list
+let templateRotation = 0; // Clockwise rotation of the uploaded image, in degrees
+let templatePreviewTimer = null; // Delays the preview until the pre-processing options stop changing
+let templatePreviewGeneration = 0; // Increases with every preview, so outdated previews are discarded
+let templatePlacement = null; // While the uploaded image is placed on the map: its coordinates and ghost bitmap
+let templatePlacementTimer = null; // Groups the tile refreshes of quick nudges
 
 const storageTemplates = JSON.parse(GM_getValue('bmTemplates', '{}'));
 console.log(storageTemplates);
@@ -303,11 +531,18 @@ console.log(storageTemplates);
 (async () => { 
   try { 
     await templateManager.importJSON(storageTemplates);
+    await templateManager.importHistory(JSON.parse(GM_getValue('bmTemplateHistory', '{}'))); // Changes made before the page was reloaded can still be undone
     try { renderTemplateList(); } catch {}
-  } catch (e) { console.warn('Template import failed:', e); } 
+  } catch (e) {
+    console.warn('Template import failed:', e);
+    overlayMain.handleDisplayError(`Could not load your templates: ${e?.message || e}`);
+  }
+  refreshTemplateSubscriptions(); // Catches up on changes made while the page was closed
+  setInterval(() => refreshTemplateSubscriptions(), 60 * 1000); // Only URLs not checked within the subscription interval are downloaded
 })();
 
 buildOverlayMain(); // Builds the main overlay
+renderPaletteSubset();
 // After overlay is built, initialize template list UI
 try { renderTemplateList(); } catch (e) { console.warn('Initial renderTemplateList failed:', e); }
 
@@ -317,6 +552,8 @@ apiManager.spontaneousResponseListener(overlayMain); // Reads spontaneous fetch
 
 observeBlack(); // Observes the black palette color
 
+window.addEventListener('keydown', handleTemplateHistoryKey); // Undo and redo of template changes
+
 consoleLog(`%c${name}%c (${version}) userscript has loaded!`, 'color: cornflowerblue;', '');
 
 /** Observe the black color, and add the "Move" button.
@@ -353,6 +590,8 @@ function observeBlack() {
 
       paintPixel.parentNode?.appendChild(move); // Adds the move button
     }
+
+    detectSitePaletteColors(); // The palette is open, so the colors the user can place are known
   });
 
   observer.observe(document.body, { childList: true, subtree: true });
@@ -418,6 +657,10 @@ function buildOverlayMain() {
               '#bm-contain-automation > *:not(#bm-contain-coords)', // Automation section excluding coordinates
               '#bm-input-file-template',           // Template file upload interface
               '#bm-contain-buttons-action',        // Action buttons container
+              '#bm-contain-buttons-io',            // Template export/import buttons
+              '#bm-contain-share',                 // Templates from share codes
+              '#bm-contain-subscribe',             // Template subscription by URL
+              '#bm-color-breakdown',               // Remaining colors panel
               `#${instance.outputStatusId}`        // Status log textarea for user feedback
             ];
             
@@ -598,11 +841,91 @@ function buildOverlayMain() {
           try { forceTileRefresh(); } catch (e) { /* noop */ }
         });
       }).buildElement()
-      .addInputFile({'id': 'bm-input-file-template', 'textContent': 'Upload Template', 'accept': 'image/png, image/jpeg, image/webp, image/bmp, image/gif'}).buildElement()
+      .addCheckbox({'id': 'bm-input-errors-only', 'textContent': 'Errors only', 'checked': false}, (instance, label, checkbox) => {
+        label.title = 'Only mark pixels that are the wrong color (red outline) or not placed yet (faint dot)';
+        checkbox.addEventListener('change', () => {
+          instance?.apiManager?.templateManager?.setRenderMode(checkbox.checked ? 'errors' : 'full');
+          instance.handleDisplayStatus(`Errors only ${checkbox.checked ? 'ON' : 'OFF'}`);
+          try { forceTileRefresh(); } catch (e) { /* noop */ }
+        });
+      }).buildElement()
+      .addSelect({
+        'id': 'bm-select-color-metric',
+        'textContent': 'Color matching: ',
+        'options': Object.entries(paletteMatching().colorMetrics).map(([value, metric]) => ({'value': value, 'textContent': metric.name})),
+        'value': templateManager.colorMetric
+      }, (instance, label, select) => {
+        label.title = 'How colors are matched to the palette in new templates. CIEDE2000 matches how eyes see color best. Existing templates keep the matching they were created with';
+        select.addEventListener('change', () => {
+          templateManager.setColorMetric(select.value);
+          GM.setValue('bmColorMetric', select.value);
+          instance.handleDisplayStatus(`Color matching of new templates: ${select.selectedOptions[0]?.textContent}`);
+          scheduleTemplatePreview();
+        });
+      }).buildElement()
+      .addSelect({
+        'id': 'bm-select-dither',
+        'textContent': 'Dithering: ',
+        'options': Object.entries(paletteMatching().ditherModes).map(([value, mode]) => ({'value': value, 'textContent': mode.name})),
+        'value': templateManager.dither
+      }, (instance, label, select) => {
+        label.title = 'How gradients are converted to the palette in new templates. Dithering mixes nearby palette colors instead of banding. Existing templates keep the dithering they were created with';
+        select.addEventListener('change', () => {
+          templateManager.setDither(select.value);
+          GM.setValue('bmDither', select.value);
+          instance.handleDisplayStatus(`Dithering of new templates: ${select.selectedOptions[0]?.textContent}`);
+          scheduleTemplatePreview();
+        });
+      }).buildElement()
+      // Palette colors templates are mapped to
+      .addDiv({'id': 'bm-palette-subset'})
+      .buildElement()
+      .addInputFile({'id': 'bm-input-file-template', 'textContent': 'Upload Template', 'accept': 'image/png, image/jpeg, image/webp, image/bmp, image/gif'}, (instance, container, input) => {
+        input.addEventListener('change', () => resetTemplatePreprocessing());
+      }).buildElement()
+      // Pre-processing of the uploaded image, with a preview of the palette-mapped result
+      .addDiv({'id': 'bm-contain-preprocess', 'hidden': true}, (instance, div) => {
+        div.addEventListener('input', () => scheduleTemplatePreview());
+      })
+        .addDiv({'className': 'bm-preprocess-row'})
+          .addInput({'type': 'number', 'id': 'bm-input-preprocess-width', 'placeholder': 'Width', 'min': 1, 'step': 1, 'title': 'Width of the template. Leave the height empty to keep the aspect ratio'}).buildElement()
+          .addInput({'type': 'number', 'id': 'bm-input-preprocess-height', 'placeholder': 'Height', 'min': 1, 'step': 1, 'title': 'Height of the template. Leave the width empty to keep the aspect ratio'}).buildElement()
+          .addSelect({
+            'id': 'bm-select-preprocess-resample',
+            'options': [{'value': 'nearest', 'textContent': 'Nearest'}, {'value': 'average', 'textContent': 'Area average'}],
+            'value': 'nearest'
+          }, (instance, label) => {
+            label.title = 'How the image is scaled. Nearest keeps hard pixel edges (pixel art). Area average keeps detail when shrinking photos';
+          }).buildElement()
+        .buildElement()
+        .addDiv({'className': 'bm-preprocess-row', 'title': 'Crops the image before it is scaled, in pixels of the uploaded image'})
+          .addInput({'type': 'number', 'id': 'bm-input-crop-x', 'placeholder': 'Crop X', 'min': 0, 'step': 1}).buildElement()
+          .addInput({'type': 'number', 'id': 'bm-input-crop-y', 'placeholder': 'Crop Y', 'min': 0, 'step': 1}).buildElement()
+          .addInput({'type': 'number', 'id': 'bm-input-crop-width', 'placeholder': 'Crop W', 'min': 1, 'step': 1}).buildElement()
+          .addInput({'type': 'number', 'id': 'bm-input-crop-height', 'placeholder': 'Crop H', 'min': 1, 'step': 1}).buildElement()
+        .buildElement()
+        .addDiv({'className': 'bm-preprocess-row'})
+          .addCheckbox({'id': 'bm-input-flip-x', 'textContent': 'Flip ↔'}).buildElement()
+          .addCheckbox({'id': 'bm-input-flip-y', 'textContent': 'Flip ↕'}).buildElement()
+          .addButton({'id': 'bm-button-rotate-left', 'textContent': '⟲', 'title': 'Rotate 90° counterclockwise'}, (instance, button) => {
+            button.onclick = () => rotateTemplateImage(-90);
+          }).buildElement()
+          .addButton({'id': 'bm-button-rotate-right', 'textContent': '⟳', 'title': 'Rotate 90° clockwise'}, (instance, button) => {
+            button.onclick = () => rotateTemplateImage(90);
+          }).buildElement()
+          .addSmall({'id': 'bm-preprocess-rotation', 'textContent': '0°'}).buildElement()
+        .buildElement()
+        .addCanvas({'id': 'bm-canvas-preview', 'width': 1, 'height': 1, 'title': 'The template as it will be placed, mapped to the palette'}).buildElement()
+        .addSmall({'id': 'bm-preprocess-info'}).buildElement()
+      .buildElement()
       .addDiv({'id': 'bm-contain-buttons-template'})
+        .addButton({'id': 'bm-button-place', 'textContent': 'Place', 'title': 'Shows the template on the map, so it can be moved into place before it is created'}, (instance, button) => {
+          button.onclick = () => templatePlacement ? confirmTemplatePlacement() : startTemplatePlacement();
+        }).buildElement()
         .addButton({'id': 'bm-button-create', 'textContent': 'Create'}, (instance, button) => {
           button.onclick = async () => {
             const input = document.querySelector('#bm-input-file-template');
+            if (templatePlacement) { confirmTemplatePlacement(); } // Creates the template where it was placed
 
             const coordTlX = document.querySelector('#bm-input-tx');
             if (!coordTlX.checkValidity()) {coordTlX.reportValidity(); instance.handleDisplayError('Coordinates are malformed! Did you try clicking on the canvas first?'); return;}
@@ -619,12 +942,38 @@ function buildOverlayMain() {
             const autoColor = document.querySelector('#bm-input-autocolor')?.checked || false;
             // Sync live toggle with current checkbox state at create time
             instance.apiManager?.templateManager?.setAutoColorLive(autoColor);
-            await templateManager.createTemplate(
-              input.files[0],
-              input.files[0]?.name.replace(/\.[^/.]+$/, ''),
-              [Number(coordTlX.value), Number(coordTlY.value), Number(coordPxX.value), Number(coordPxY.value)],
-              autoColor
-            );
+
+            // Processing can take a while for large images, so it can be cancelled meanwhile
+            const cancelButton = document.querySelector('#bm-button-cancel');
+            button.disabled = true;
+            if (cancelButton) { cancelButton.hidden = false; }
+            let template = null;
+            try {
+              const options = readPreprocessOptions();
+              if (isPreprocessing(options)) { instance.handleDisplayStatus('Processing the image...'); }
+              const image = await preprocessImage(input.files[0], options);
+
+              // Warns before the shown templates would use more memory than the budget
+              const size = await createImageBitmap(image);
+              const memory = templateManager.estimateTemplateMemory(size.width, size.height);
+              size.close();
+              if (!confirmMemoryBudget(memory)) { instance.handleDisplayStatus('Template creation cancelled.'); return; }
+
+              template = await templateManager.createTemplate(
+                image,
+                input.files[0]?.name.replace(/\.[^/.]+$/, ''),
+                [Number(coordTlX.value), Number(coordTlY.value), Number(coordPxX.value), Number(coordPxY.value)],
+                autoColor,
+                input.files[0]?.name
+              );
+            } catch (e) {
+              console.warn('createTemplate failed:', e);
+              instance.handleDisplayError(`Failed to create the template: ${e?.message || e}`);
+            } finally {
+              button.disabled = false;
+              if (cancelButton) { cancelButton.hidden = true; }
+            }
+            if (!template) { return; } // Not created (cancelled or failed)
             // Refresh template list after creation
             try { renderTemplateList(); } catch (e) { console.warn('renderTemplateList after create failed:', e); }
 
@@ -639,11 +988,83 @@ function buildOverlayMain() {
             instance.handleDisplayStatus(`Drew to canvas!`);
           }
         }).buildElement()
+        .addButton({'id': 'bm-button-cancel', 'textContent': 'Cancel', 'hidden': true}, (instance, button) => {
+          button.onclick = () => {
+            if (templateManager.cancelTemplateCreation()) { instance.handleDisplayStatus('Cancelling template creation...'); }
+          };
+        }).buildElement()
         .buildElement()
       .buildElement()
       // Templates list container (max 5 templates)
       .addDiv({'id': 'bm-template-list'})
       .buildElement()
+      // Export and import of template files
+      .addDiv({'id': 'bm-contain-buttons-io'})
+        .addButton({'id': 'bm-button-export-all', 'textContent': 'Export all'}, (instance, button) => {
+          button.onclick = () => exportTemplates(null);
+        }).buildElement()
+        .addButton({'id': 'bm-button-export-selected', 'textContent': 'Export selected'}, (instance, button) => {
+          button.onclick = () => exportTemplates([...templateSelection]);
+        }).buildElement()
+        .addInputFile({'id': 'bm-input-file-import', 'textContent': 'Import', 'accept': '.json, application/json, image/png, image/jpeg, image/webp, image/bmp, image/gif', 'multiple': true}, (instance, container, input, button) => {
+          button.title = 'Imports a template file of Blue Marble or another template tool. Select the images it refers to together with it';
+          input.addEventListener('change', async () => {
+            const files = [...(input.files || [])];
+            input.value = ''; // Allows the same file to be imported again
+            button.textContent = 'Import';
+            if (!files.length) { return; }
+            await importTemplates(files);
+          });
+        }).buildElement()
+      .buildElement()
+      // Templates from share codes
+      .addDiv({'id': 'bm-contain-share'})
+        .addInput({'type': 'text', 'id': 'bm-input-share-code', 'placeholder': 'Share code', 'spellcheck': false, 'title': 'A share code copied with the Share button of a template. Leave empty to paste it from the clipboard'}).buildElement()
+        .addButton({'id': 'bm-button-share-code', 'textContent': 'Paste share code'}, (instance, button) => {
+          button.onclick = async () => {
+            const input = document.querySelector('#bm-input-share-code');
+            let code = input.value.trim();
+            if (!code) {
+              try { code = (await navigator.clipboard.readText()).trim(); } catch (e) { /* The clipboard is not available */ }
+            }
+            if (!code) { instance.handleDisplayError('Paste a share code into the box first!'); return; }
+
+            button.disabled = true;
+            let template = null;
+            try {
+              template = await templateManager.createTemplateFromShareCode(code);
+            } catch (e) {
+              console.warn('createTemplateFromShareCode failed:', e);
+              instance.handleDisplayError(`Could not use the share code: ${e?.message || e}`);
+            } finally {
+              button.disabled = false;
+            }
+            if (!template) { return; }
+            input.value = '';
+            try { renderTemplateList(); } catch (e) { console.warn('renderTemplateList after share code failed:', e); }
+            try { forceTileRefresh(); } catch (e) { /* noop */ }
+          };
+        }).buildElement()
+      .buildElement()
+      // Subscription to a template file or image at a URL
+      .addDiv({'id': 'bm-contain-subscribe'})
+        .addInput({'type': 'url', 'id': 'bm-input-subscribe-url', 'placeholder': 'Template or image URL', 'title': 'A template file or image that is checked for changes every 30 minutes. Images are placed at the coordinates above'}).buildElement()
+        .addButton({'id': 'bm-button-subscribe', 'textContent': 'Subscribe'}, (instance, button) => {
+          button.onclick = async () => {
+            const input = document.querySelector('#bm-input-subscribe-url');
+            if (!input.value || !input.checkValidity()) { input.reportValidity(); instance.handleDisplayError('Enter the URL of a template file or image!'); return; }
+            button.disabled = true;
+            try {
+              if (await subscribeTemplate(input.value)) { input.value = ''; }
+            } finally {
+              button.disabled = false;
+            }
+          };
+        }).buildElement()
+      .buildElement()
+      // Remaining colors of the selected templates
+      .addDiv({'id': 'bm-color-breakdown'})
+      .buildElement()
       .addTextarea({'id': overlayMain.outputStatusId, 'placeholder': `Status: Sleeping...\nVersion: ${version}`, 'readOnly': true}).buildElement()
       .addDiv({'id': 'bm-contain-buttons-action'})
         .addDiv()
@@ -710,32 +1131,104 @@ function forceTileRefresh() {
   } catch (e) { /* best-effort */ }
 }
 
-// Renders the list of templates with Show/Hide and Remove actions (max 5)
+// Renders the list of templates with Show/Hide and Remove actions
 function renderTemplateList() {
   const container = document.querySelector('#bm-template-list');
   if (!container) { return; }
   const summaries = (templateManager?.getTemplateSummaries?.() || []);
-  const max = templateManager?.maxTemplates || 5;
+  const memory = templateManager.getMemoryUsage();
+  const history = templateManager.getHistoryLabels();
   const escapeHtml = (str) => String(str || '').replace(/[&<>"]|'/g, (m) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
 
-  const items = summaries.map(s => {
+  const renderItem = (s, index) => {
     const name = escapeHtml(s.name);
     const id = escapeHtml(s.idKey);
     const enabled = !!s.enabled;
     const toggleLabel = enabled ? 'Hide' : 'Show';
+    const coords = s.coords || [];
+    const coordTitles = ['Tile X', 'Tile Y', 'Pixel X', 'Pixel Y'];
+    const moveForm = (templateMoveID === s.idKey && coords.length === 4) ? `
+        <div class="bm-tmpl-move-form" data-id="${id}">
+          ${coords.map((coord, i) => `<input type="number" class="bm-tmpl-move-coord" min="0" max="${i < 2 ? 2047 : 999}" value="${coord}" title="${coordTitles[i]}" placeholder="${coordTitles[i]}">`).join('')}
+          <button class="bm-tmpl-nudge" data-id="${id}" data-dx="-1" data-dy="0" title="One pixel left (Shift: 10)">←</button>
+          <button class="bm-tmpl-nudge" data-id="${id}" data-dx="0" data-dy="-1" title="One pixel up (Shift: 10)">↑</button>
+          <button class="bm-tmpl-nudge" data-id="${id}" data-dx="0" data-dy="1" title="One pixel down (Shift: 10)">↓</button>
+          <button class="bm-tmpl-nudge" data-id="${id}" data-dx="1" data-dy="0" title="One pixel right (Shift: 10)">→</button>
+          <button class="bm-tmpl-move-here" data-id="${id}" title="Uses the last pixel clicked on the map as the top left corner">Here</button>
+          <button class="bm-tmpl-move-apply" data-id="${id}" title="Moves the template to these coordinates">Apply</button>
+          <button class="bm-tmpl-move-close" data-id="${id}">Close</button>
+        </div>` : '';
+    const style = s.style || {};
+    const styleForm = (templateStyleID === s.idKey) ? `
+        <div class="bm-tmpl-style-form" data-id="${id}">
+          <label title="Opacity when zoomed out. 0 hides the template when zoomed out">Zoomed out <input type="range" class="bm-tmpl-style-opacity" data-key="opacityZoomedOut" min="0" max="100" step="5" value="${Math.round(style['opacityZoomedOut'] * 100)}"></label>
+          <label title="Opacity of the small squares when zoomed in. 0 hides the template when zoomed in">Zoomed in <input type="range" class="bm-tmpl-style-opacity" data-key="opacityZoomedIn" min="0" max="100" step="5" value="${Math.round(style['opacityZoomedIn'] * 100)}"></label>
+          <label title="Draws the template in shades of one color, to tell overlapping templates apart"><input type="checkbox" class="bm-tmpl-style-tint-on" ${style['tint'] ? 'checked' : ''}> Tint <input type="color" class="bm-tmpl-style-tint" value="${escapeHtml(style['tint'] || '#ff00ff')}"></label>
+          <label title="How the template blends with the canvas under it">Blend <select class="bm-tmpl-style-blend">
+            ${Object.entries(templateManager.blendModes).map(([mode, modeName]) => `<option value="${mode}" ${mode === style['blendMode'] ? 'selected' : ''}>${modeName}</option>`).join('')}
+          </select></label>
+          <button class="bm-tmpl-style-reset" data-id="${id}" title="Draws the template like every other template">Reset</button>
+          <button class="bm-tmpl-style-close" data-id="${id}">Close</button>
+        </div>` : '';
     return `
       <li class="bm-tmpl-item" data-id="${id}">
-        <span class="bm-tmpl-name">${name}</span>
+        <input type="checkbox" class="bm-tmpl-select" data-id="${id}" title="Show remaining colors" ${templateSelection.has(s.idKey) ? 'checked' : ''}>
+        <div class="bm-tmpl-info">
+          <span class="bm-tmpl-name" data-id="${id}" title="Shows the details of the template">${name}</span>
+          <span class="bm-tmpl-progress" data-id="${id}" title="${escapeHtml(formatTemplateProgressDetails(s.progress))}">${escapeHtml(formatTemplateProgress(s.progress))}</span>
+          ${s.overBudget ? `<span class="bm-tmpl-budget" title="Showing this template would use more memory than the budget. It uses about ${formatBytes(s.memory)}">Hidden: over the memory budget</span>` : ''}
+          ${s.url ? `<span class="bm-tmpl-url" title="${escapeHtml(s.url)}">Updated ${escapeHtml(s.urlUpdatedAt ? new Date(s.urlUpdatedAt).toLocaleString() : 'never')}</span>` : ''}
+        </div>
         <div class="bm-tmpl-actions">
+          <button class="bm-tmpl-order" data-id="${id}" data-offset="1" title="Draws this template above the one before it" ${index === 0 ? 'disabled' : ''}>▲</button>
+          <button class="bm-tmpl-order" data-id="${id}" data-offset="-1" title="Draws this template below the one after it" ${index === summaries.length - 1 ? 'disabled' : ''}>▼</button>
           <button class="bm-tmpl-toggle" data-id="${id}" data-enabled="${enabled}" data-name="${name}">${toggleLabel}</button>
+          <button class="bm-tmpl-style" data-id="${id}" title="Changes the opacity, tint and blend mode of the template">Style</button>
+          <button class="bm-tmpl-move" data-id="${id}" title="Moves the template to other coordinates">Move</button>
+          <button class="bm-tmpl-share" data-id="${id}" title="Copies a share code of the template, to send in chat">Share</button>
+          ${s.url ? `<button class="bm-tmpl-refresh" data-id="${id}" title="Checks the URL of the template for changes now">Refresh</button>` : ''}
           <button class="bm-tmpl-remove" data-id="${id}" data-name="${name}">Remove</button>
+        </div>${moveForm}${styleForm}${(templateDetailsID === s.idKey) ? `<div class="bm-tmpl-details-form" data-id="${id}">Loading details...</div>` : ''}
+      </li>`;
+  };
+
+  // Templates without a group come first, then every group as a collapsible section. Each keeps the draw order
+  const groups = new Map();
+  for (const s of summaries) {
+    if (!groups.has(s.group)) { groups.set(s.group, []); }
+    groups.get(s.group).push(s);
+  }
+  const items = (groups.get('') || []).map(s => renderItem(s, summaries.indexOf(s))).join('') + [...groups.keys()].filter(Boolean).sort((a, b) => a.localeCompare(b)).map(group => {
+    const members = groups.get(group);
+    const groupName = escapeHtml(group);
+    const collapsed = collapsedTemplateGroups.has(group);
+    const shown = members.filter(s => s.enabled).length;
+    return `
+      <li class="bm-tmpl-group" data-group="${groupName}">
+        <div class="bm-tmpl-group-header">
+          <button class="bm-tmpl-group-collapse" data-group="${groupName}" title="${collapsed ? 'Expand' : 'Collapse'}">${collapsed ? '▸' : '▾'}</button>
+          <span class="bm-tmpl-group-name">${groupName} <small>(${shown}/${members.length} shown)</small></span>
+          <div class="bm-tmpl-actions">
+            <button class="bm-tmpl-group-show" data-group="${groupName}" title="Shows every template in the group">Show</button>
+            <button class="bm-tmpl-group-hide" data-group="${groupName}" title="Hides every template in the group">Hide</button>
+            <button class="bm-tmpl-group-export" data-group="${groupName}" title="Exports every template in the group">Export</button>
+            <button class="bm-tmpl-remove bm-tmpl-group-remove" data-group="${groupName}" title="Removes every template in the group">Remove</button>
+          </div>
         </div>
+        <ul class="bm-tmpl-group-list" ${collapsed ? 'hidden' : ''}>
+          ${members.map(s => renderItem(s, summaries.indexOf(s))).join('')}
+        </ul>
       </li>`;
   }).join('');
 
   container.innerHTML = `
     <div class="bm-tmpl-header" style="display:flex;align-items:center;justify-content:space-between;gap:.5em;">
-      <strong>Templates (${summaries.length}/${max})</strong>
+      <strong title="Templates higher in the list are drawn on top">Templates (${summaries.length})</strong>
+      <div class="bm-tmpl-actions">
+        <button class="bm-tmpl-undo" title="${escapeHtml(history.undo ? `Undo: ${history.undo} (Ctrl+Z)` : 'Nothing to undo')}" ${history.undo ? '' : 'disabled'}>↶</button>
+        <button class="bm-tmpl-redo" title="${escapeHtml(history.redo ? `Redo: ${history.redo} (Ctrl+Y)` : 'Nothing to redo')}" ${history.redo ? '' : 'disabled'}>↷</button>
+      </div>
+      <span class="bm-tmpl-memory" title="Estimated memory of the shown templates, and the budget. Hidden templates do not count">${formatBytes(memory.used)} / ${formatBytes(memory.budget)}</span>
     </div>
     <ul class="bm-tmpl-list" style="list-style:none;padding:0;margin:.5em 0;display:flex;flex-direction:column;gap:.25em;">
       ${items || ''}
@@ -743,8 +1236,48 @@ function renderTemplateList() {
   `;
 
   container.onclick = async (ev) => {
-    const btn = ev.target.closest('button');
+    const btn = ev.target.closest('button, .bm-tmpl-name');
     if (!btn) { return; }
+
+    if (btn.classList.contains('bm-tmpl-undo') || btn.classList.contains('bm-tmpl-redo')) {
+      await stepTemplateHistory(btn.classList.contains('bm-tmpl-undo') ? 'undo' : 'redo');
+      return;
+    }
+
+    // Group actions apply to every template in the group at once
+    const group = btn.getAttribute('data-group');
+    if (group !== null) {
+      const members = summaries.filter(s => s.group === group);
+      const idKeys = members.map(s => s.idKey);
+      try {
+        if (btn.classList.contains('bm-tmpl-group-collapse')) {
+          if (collapsedTemplateGroups.has(group)) { collapsedTemplateGroups.delete(group); } else { collapsedTemplateGroups.add(group); }
+          renderTemplateList();
+          return;
+        } else if (btn.classList.contains('bm-tmpl-group-export')) {
+          await exportTemplates(idKeys);
+          return;
+        } else if (btn.classList.contains('bm-tmpl-group-show')) {
+          if (!confirmMemoryBudget(members.filter(s => !s.enabled).reduce((sum, s) => sum + s.memory, 0))) { return; }
+          await templateManager.setTemplatesEnabled(idKeys, true);
+          overlayMain.handleDisplayStatus(`Showed the templates of group "${group}".`);
+        } else if (btn.classList.contains('bm-tmpl-group-hide')) {
+          await templateManager.setTemplatesEnabled(idKeys, false);
+          overlayMain.handleDisplayStatus(`Hid the templates of group "${group}".`);
+        } else if (btn.classList.contains('bm-tmpl-group-remove')) {
+          if (!window.confirm(`Remove all ${idKeys.length} templates of group "${group}"?`)) { return; }
+          idKeys.forEach(idKey => templateSelection.delete(idKey));
+          await templateManager.removeTemplates(idKeys);
+          overlayMain.handleDisplayStatus(`Removed the templates of group "${group}". Undo with Ctrl+Z.`);
+        }
+        renderTemplateList();
+        try { forceTileRefresh(); } catch (e) { /* noop */ }
+      } catch (e) {
+        console.warn('Template group action failed:', e);
+      }
+      return;
+    }
+
     const idKey = btn.getAttribute('data-id');
     if (!idKey) { return; }
     try {
@@ -752,39 +1285,110 @@ function renderTemplateList() {
         // Toggle: update UI immediately, persist async, and refresh tiles
         const currentlyEnabled = btn.getAttribute('data-enabled') === 'true';
         const nextEnabled = !currentlyEnabled;
+        if (nextEnabled && !confirmMemoryBudget(summaries.find(s => s.idKey === idKey)?.memory || 0)) { return; }
         // Immediate UI feedback
         btn.setAttribute('data-enabled', String(nextEnabled));
         btn.textContent = nextEnabled ? 'Hide' : 'Show';
         overlayMain?.handleDisplayStatus?.(`${currentlyEnabled ? 'Hid' : 'Showed'} template.`);
         // Persist without blocking UI
-        templateManager?.setTemplateEnabled?.(idKey, nextEnabled).catch(err => console.warn('setTemplateEnabled failed:', err));
+        templateManager?.setTemplateEnabled?.(idKey, nextEnabled)
+          .then(() => renderTemplateList()) // Updates the memory use
+          .catch(err => console.warn('setTemplateEnabled failed:', err));
         // Force instant visual update on the map
         try { forceTileRefresh(); } catch (e) { /* noop */ }
       } else if (btn.classList.contains('bm-tmpl-remove')) {
         // Remove: drop the row instantly, persist async, and refresh tiles
         const li = btn.closest('li.bm-tmpl-item');
         if (li) { li.remove(); }
-        overlayMain?.handleDisplayStatus?.('Removed template.');
-        templateManager?.removeTemplate?.(idKey).catch(err => console.warn('removeTemplate failed:', err));
-        // Update create button disabled state if present
-        const createBtn = document.querySelector('#bm-button-create');
-        if (createBtn) {
-          const max = templateManager?.maxTemplates || 5;
-          const count = container.querySelectorAll('li.bm-tmpl-item').length;
-          const atMax = count >= max;
-          createBtn.disabled = atMax;
-          createBtn.title = atMax ? `Maximum of ${max} templates reached.` : '';
+        overlayMain?.handleDisplayStatus?.('Removed template. Undo with Ctrl+Z.');
+        templateSelection.delete(idKey);
+        templateManager?.removeTemplate?.(idKey)
+          .then(() => renderTemplateList()) // Updates the count and memory use. Also renders the color breakdown
+          .catch(err => console.warn('removeTemplate failed:', err));
+        // Force instant visual update on the map
+        try { forceTileRefresh(); } catch (e) { /* noop */ }
+      } else if (btn.classList.contains('bm-tmpl-order')) {
+        // Reorder: persist, then redraw the list and the tiles in the new order
+        if (await templateManager.reorderTemplate(idKey, Number(btn.getAttribute('data-offset')))) {
+          renderTemplateList();
+          renderColorBreakdown();
+          try { forceTileRefresh(); } catch (e) { /* noop */ }
         }
-        // Update header count instantly
+      } else if (btn.classList.contains('bm-tmpl-name') || btn.classList.contains('bm-tmpl-details-close')) {
+        templateDetailsID = (templateDetailsID === idKey) ? null : idKey; // Opens or closes the details
+        renderTemplateList();
+      } else if (btn.classList.contains('bm-tmpl-details-save')) {
+        const form = btn.closest('.bm-tmpl-details-form');
+        const nameInput = form.querySelector('.bm-tmpl-details-name');
+        if (!nameInput.value.trim()) { overlayMain.handleDisplayError('The name can not be empty!'); return; }
+        await templateManager.updateTemplateDetails(idKey, {
+          name: nameInput.value,
+          notes: form.querySelector('.bm-tmpl-details-notes').value,
+          group: form.querySelector('.bm-tmpl-details-group').value,
+        });
+        overlayMain.handleDisplayStatus('Saved the template details.');
+        renderTemplateList();
+        renderColorBreakdown(); // Shows the new name
+      } else if (btn.classList.contains('bm-tmpl-style')) {
+        templateStyleID = (templateStyleID === idKey) ? null : idKey; // Opens or closes the style controls
+        renderTemplateList();
+      } else if (btn.classList.contains('bm-tmpl-style-close')) {
+        templateStyleID = null;
+        renderTemplateList();
+      } else if (btn.classList.contains('bm-tmpl-style-reset')) {
+        await templateManager.setTemplateStyle(idKey, { ...templateManager.defaultTemplateStyle });
+        renderTemplateList();
+        try { forceTileRefresh(); } catch (e) { /* noop */ }
+      } else if (btn.classList.contains('bm-tmpl-share')) {
+        btn.disabled = true;
         try {
-          const headerStrong = container.querySelector('.bm-tmpl-header strong');
-          if (headerStrong) {
-            const max = templateManager?.maxTemplates || 5;
-            const count = container.querySelectorAll('li.bm-tmpl-item').length;
-            headerStrong.textContent = `Templates (${count}/${max})`;
+          const code = await templateManager.createShareCode(idKey);
+          if (!code) { return; }
+          try {
+            await navigator.clipboard.writeText(code);
+            overlayMain.handleDisplayStatus(`Copied the share code of the template (${new Intl.NumberFormat().format(code.length)} characters).`);
+          } catch (e) {
+            overlayMain.handleDisplayStatus(`Copy the share code of the template:\n${code}`); // The clipboard is not available
           }
-        } catch (_) { /* noop */ }
-        // Force instant visual update on the map
+        } catch (e) {
+          console.warn('createShareCode failed:', e);
+          overlayMain.handleDisplayError(`Could not create the share code: ${e?.message || e}`);
+        } finally {
+          btn.disabled = false;
+        }
+      } else if (btn.classList.contains('bm-tmpl-refresh')) {
+        const url = summaries.find(s => s.idKey === idKey)?.url;
+        if (url) { await refreshTemplateSubscriptions({ url: url, force: true }); }
+      } else if (btn.classList.contains('bm-tmpl-move')) {
+        templateMoveID = (templateMoveID === idKey) ? null : idKey; // Opens or closes the move controls
+        renderTemplateList();
+      } else if (btn.classList.contains('bm-tmpl-move-close')) {
+        templateMoveID = null;
+        renderTemplateList();
+      } else if (btn.classList.contains('bm-tmpl-nudge') || btn.classList.contains('bm-tmpl-move-here')) {
+        const inputs = [...btn.closest('.bm-tmpl-move-form').querySelectorAll('.bm-tmpl-move-coord')];
+        let coords = inputs.map(input => Number(input.value) || 0);
+        if (btn.classList.contains('bm-tmpl-move-here')) {
+          coords = apiManager.coordsTilePixel?.map(Number) || [];
+          if (coords.length !== 4 || !coords.every(Number.isFinite)) { overlayMain.handleDisplayError('Click the map where the template should go first!'); return; }
+        } else {
+          coords = nudgeCoords(coords, Number(btn.getAttribute('data-dx')) * (ev.shiftKey ? 10 : 1), Number(btn.getAttribute('data-dy')) * (ev.shiftKey ? 10 : 1));
+        }
+        inputs.forEach((input, i) => { input.value = coords[i]; });
+      } else if (btn.classList.contains('bm-tmpl-move-apply')) {
+        const inputs = [...btn.closest('.bm-tmpl-move-form').querySelectorAll('.bm-tmpl-move-coord')];
+        const invalidInput = inputs.find(input => input.value === '' || !input.checkValidity());
+        if (invalidInput) { invalidInput.reportValidity(); overlayMain.handleDisplayError('Coordinates are malformed!'); return; }
+        btn.disabled = true;
+        try {
+          const template = await templateManager.moveTemplate(idKey, inputs.map(input => Number(input.value)));
+          if (template) { templateMoveID = null; }
+        } catch (e) {
+          console.warn('moveTemplate failed:', e);
+          overlayMain.handleDisplayError(`Could not move the template: ${e?.message || e}`);
+        }
+        renderTemplateList();
+        renderColorBreakdown();
         try { forceTileRefresh(); } catch (e) { /* noop */ }
       }
     } catch (e) {
@@ -792,13 +1396,655 @@ function renderTemplateList() {
     }
   };
 
-  // Disable create button if max reached
-  const createBtn = document.querySelector('#bm-button-create');
-  if (createBtn) {
-    const atMax = summaries.length >= max;
-    createBtn.disabled = atMax;
-    createBtn.title = atMax ? `Maximum of ${max} templates reached.` : '';
+  // Selecting a template shows its remaining colors
+  container.onchange = async (ev) => {
+
+    // Any change in the style controls is applied right away
+    const styleForm = ev.target.closest('.bm-tmpl-style-form');
+    if (styleForm) {
+      const style = { 'blendMode': styleForm.querySelector('.bm-tmpl-style-blend').value };
+      for (const input of styleForm.querySelectorAll('.bm-tmpl-style-opacity')) { style[input.getAttribute('data-key')] = Number(input.value) / 100; }
+      style['tint'] = styleForm.querySelector('.bm-tmpl-style-tint-on').checked ? styleForm.querySelector('.bm-tmpl-style-tint').value : null;
+      if (ev.target.matches('.bm-tmpl-style-tint')) { style['tint'] = ev.target.value; styleForm.querySelector('.bm-tmpl-style-tint-on').checked = true; } // Picking a color turns the tint on
+      await templateManager.setTemplateStyle(styleForm.getAttribute('data-id'), style).catch(err => console.warn('setTemplateStyle failed:', err));
+      try { forceTileRefresh(); } catch (e) { /* noop */ }
+      return;
+    }
+
+    const checkbox = ev.target.closest('input.bm-tmpl-select');
+    if (!checkbox) { return; }
+    const idKey = checkbox.getAttribute('data-id');
+    if (checkbox.checked) { templateSelection.add(idKey); } else { templateSelection.delete(idKey); }
+    renderColorBreakdown();
+  };
+
+  if (templateDetailsID) { renderTemplateDetails(templateDetailsID); }
+
+  // Forget selections of templates that no longer exist
+  for (const idKey of templateSelection) {
+    if (!summaries.some(s => s.idKey === idKey)) { templateSelection.delete(idKey); }
   }
+  renderColorBreakdown();
+}
+
+/** Undoes or redoes the last change to the templates, and shows the result.
+ * @param {'undo'|'redo'} direction - Whether to undo or redo
+ * @since 0.83.0
+ */
+async function stepTemplateHistory(direction) {
+  let label;
+  try {
+    label = await templateManager[direction]();
+  } catch (e) {
+    console.warn(`${direction} failed:`, e);
+    overlayMain.handleDisplayError(`Could not ${direction} the change: ${e?.message || e}`);
+    return;
+  }
+  if (!label) { return; } // Nothing to do, or a template is being created
+
+  overlayMain.handleDisplayStatus(`${direction === 'undo' ? 'Undid' : 'Redid'}: ${label}`);
+  try { renderTemplateList(); } catch (e) { console.warn(`renderTemplateList after ${direction} failed:`, e); }
+  try { forceTileRefresh(); } catch (e) { /* noop */ }
+}
+
+/** Undoes (Ctrl+Z) and redoes (Ctrl+Y or Ctrl+Shift+Z) changes to the templates.
+ * Keys pressed in text fields are left to the text field, and keys are left to the website when there is nothing to undo or redo.
+ * @param {KeyboardEvent} event - The key press
+ * @since 0.83.0
+ */
+function handleTemplateHistoryKey(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) { return; }
+  if (event.target?.closest?.('input, textarea, select, [contenteditable="true"]')) { return; }
+
+  const key = event.key.toLowerCase();
+  const direction = (key === 'z' && !event.shiftKey) ? 'undo' : ((key === 'y' || (key === 'z' && event.shiftKey)) ? 'redo' : null);
+  if (!direction || !templateManager.getHistoryLabels()[direction]) { return; }
+
+  event.preventDefault();
+  stepTemplateHistory(direction);
+}
+
+/** Asks the user to confirm showing more templates, if the shown templates would then use more memory than the budget.
+ * @param {number} memory - The estimated memory in bytes of the template that would be shown
+ * @returns {boolean} True if the budget is not exceeded, or the user wants to exceed it
+ * @since 0.83.0
+ */
+function confirmMemoryBudget(memory) {
+  const { used, budget } = templateManager.getMemoryUsage();
+  if (used + memory <= budget) { return true; }
+  return window.confirm(`Showing this template would use about ${formatBytes(used + memory)} of memory, which is more than the budget of ${formatBytes(budget)}. The page could slow down or crash.\n\nShow it anyway? Hide other templates to free memory.`);
+}
+
+/** Formats a number of bytes for display.
+ * @param {number} bytes - The number of bytes
+ * @returns {string} Text like "12 MB" or "1.2 GB"
+ * @since 0.83.0
+ */
+function formatBytes(bytes) {
+  const megabytes = bytes / (1024 * 1024);
+  if (megabytes >= 1024) { return `${new Intl.NumberFormat(undefined, { maximumFractionDigits: 1 }).format(megabytes / 1024)} GB`; }
+  return `${new Intl.NumberFormat(undefined, { maximumFractionDigits: megabytes < 10 ? 1 : 0 }).format(megabytes)} MB`;
+}
+
+/** Downloads templates as a JSON file.
+ * @param {Array<string>|null} idKeys - The keys of the templates to export. Exports every template when null
+ * @since 0.83.0
+ */
+async function exportTemplates(idKeys) {
+  if (idKeys && idKeys.length === 0) { overlayMain.handleDisplayError('No templates selected! Tick the box next to a template to select it.'); return; }
+
+  const json = await templateManager.exportJSON(idKeys);
+  const count = Object.keys(json.templates).length;
+  if (count === 0) { overlayMain.handleDisplayError('There are no templates to export!'); return; }
+
+  const blob = new Blob([JSON.stringify(json)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `BlueMarble-templates-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000); // Give the browser time to start the download
+
+  overlayMain.handleDisplayStatus(`Exported ${count} template${count == 1 ? '' : 's'}.`);
+}
+
+/** Imports templates from a JSON file, and merges them with the loaded templates.
+ * Template files of other tools can refer to images, which are selected together with the JSON file.
+ * @param {Array<File>} files - The JSON file to import, and the images it refers to
+ * @since 0.83.0
+ */
+async function importTemplates(files) {
+  const file = files.find(file => file.type === 'application/json' || /\.json$/i.test(file.name));
+  if (!file) { overlayMain.handleDisplayError('No template file selected! Select the JSON file together with its images.'); return; }
+  overlayMain.handleDisplayStatus(`Importing "${file.name}"...`);
+
+  let result;
+  try {
+    result = await templateManager.mergeJSON(JSON.parse(await file.text()), { files: files.filter(image => image !== file) });
+  } catch (e) {
+    overlayMain.handleDisplayError(`Could not import "${file.name}": ${e?.message || e}`);
+    return;
+  }
+
+  const { added, skipped, hidden } = result;
+  const addedText = `Imported ${added.length} template${added.length == 1 ? '' : 's'}${added.length ? ` (${added.join(', ')})` : ''}.`;
+  const skippedText = skipped.length ? `\nSkipped ${skipped.length}: ${skipped.map(s => `${s.name} (${s.reason})`).join(', ')}` : '';
+  const hiddenText = hidden.length ? `\nHid ${hidden.length} to stay within the memory budget: ${hidden.join(', ')}` : '';
+  overlayMain.handleDisplayStatus(addedText + skippedText + hiddenText);
+
+  try { renderTemplateList(); } catch (e) { console.warn('renderTemplateList after import failed:', e); }
+  try { forceTileRefresh(); } catch (e) { /* noop */ }
+}
+
+/** Subscribes to a template file or image at a URL.
+ * Images are placed at the coordinates in the inputs.
+ * @param {string} url - The URL of the template file or image
+ * @returns {Promise<boolean>} True if templates were added
+ * @since 0.83.0
+ */
+async function subscribeTemplate(url) {
+  overlayMain.handleDisplayStatus(`Downloading "${url}"...`);
+
+  let result;
+  try {
+    result = await templateManager.subscribeTemplate(url, { coords: readCoordInputs() });
+  } catch (e) {
+    console.warn('subscribeTemplate failed:', e);
+    overlayMain.handleDisplayError(`Could not subscribe to "${url}": ${e?.message || e}`);
+    return false;
+  }
+
+  const { added, skipped, hidden } = result;
+  const addedText = `Subscribed to ${added.length} template${added.length == 1 ? '' : 's'}${added.length ? ` (${added.join(', ')})` : ''}.`;
+  const skippedText = skipped.length ? `\nSkipped ${skipped.length}: ${skipped.map(s => `${s.name} (${s.reason})`).join(', ')}` : '';
+  const hiddenText = hidden.length ? `\nHid ${hidden.length} to stay within the memory budget: ${hidden.join(', ')}` : '';
+  overlayMain.handleDisplayStatus(addedText + skippedText + hiddenText);
+
+  try { renderTemplateList(); } catch (e) { console.warn('renderTemplateList after subscribe failed:', e); }
+  try { forceTileRefresh(); } catch (e) { /* noop */ }
+  return added.length > 0;
+}
+
+/** Checks the URLs templates are subscribed to for changes, and shows the updated templates.
+ * @param {Object} [options] - Passed to {@link TemplateManager#refreshSubscriptions}
+ * @since 0.83.0
+ */
+async function refreshTemplateSubscriptions(options) {
+  let result;
+  try {
+    result = await templateManager.refreshSubscriptions(options);
+  } catch (e) {
+    console.warn('refreshSubscriptions failed:', e);
+    return;
+  }
+
+  const { checked, updated, failed } = result;
+  if (options?.force) {
+    overlayMain.handleDisplayStatus(`Checked ${checked.length} URL${checked.length == 1 ? '' : 's'}. ${updated.length ? `Updated the templates of ${updated.join(', ')}.` : 'Nothing changed.'}`);
+  } else if (updated.length) {
+    overlayMain.handleDisplayStatus(`Updated the templates of ${updated.join(', ')}.`);
+  }
+  if (failed.length) {
+    overlayMain.handleDisplayError(`Could not check ${failed.map(f => `${f.url} (${f.reason})`).join(', ')}`);
+  }
+
+  if (!checked.length) { return; }
+  try { renderTemplateList(); } catch (e) { console.warn('renderTemplateList after refresh failed:', e); }
+  if (updated.length) {
+    try { forceTileRefresh(); } catch (e) { /* noop */ }
+  }
+}
+
+/** Formats the progress of a template for the template list.
+ * @param {{correct: number, wrong: number, unplaced: number, total: number}|null} progress - The progress from {@link Template#getProgress}
+ * @returns {string} Text like "12,340 / 50,000 placed (24.7%)"
+ * @since 0.83.0
+ */
+function formatTemplateProgress(progress) {
+  if (!progress?.total) { return 'No pixels to place'; }
+  const format = new Intl.NumberFormat();
+  const percent = (progress.correct / progress.total * 100).toFixed(1);
+  return `${format.format(progress.correct)} / ${format.format(progress.total)} placed (${percent}%)`;
+}
+
+/** Formats the detailed progress of a template for the tooltip in the template list.
+ * @param {{correct: number, wrong: number, unplaced: number, total: number}|null} progress - The progress from {@link Template#getProgress}
+ * @returns {string} Text listing the correct, wrong and unplaced pixel counts
+ * @since 0.83.0
+ */
+function formatTemplateProgressDetails(progress) {
+  if (!progress) { return ''; }
+  const format = new Intl.NumberFormat();
+  return `Correct: ${format.format(progress.correct)}\nWrong color: ${format.format(progress.wrong)}\nNot placed: ${format.format(progress.unplaced)}\n(Only counts tiles that have been loaded)`;
+}
+
+/** Fills the details of a template into its open detail view in the template list.
+ * The details are read asynchronously, since older templates are measured from their tile images.
+ * @param {string} idKey - The key of the template
+ * @since 0.83.0
+ */
+async function renderTemplateDetails(idKey) {
+  const details = await templateManager.getTemplateDetails(idKey);
+  const form = [...document.querySelectorAll('#bm-template-list .bm-tmpl-details-form')].find(div => div.getAttribute('data-id') === idKey);
+  if (!form) { return; } // Closed meanwhile
+  if (!details) { form.textContent = 'This template is not loaded.'; return; }
+
+  const escapeHtml = (str) => String(str || '').replace(/[&<>"]|'/g, (m) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
+  const format = new Intl.NumberFormat();
+  const id = escapeHtml(idKey);
+  const rows = [
+    ['Coordinates', details.coords?.join(', ') || 'Unknown'],
+    ['Size', details.width ? `${format.format(details.width)}×${format.format(details.height)}` : 'Unknown'],
+    ['Pixels', format.format(details.pixelCount)],
+    ['Author', details.author ? `#${details.author}` : 'Unknown'],
+    ['Created', details.createdAt ? new Date(details.createdAt).toLocaleString() : 'Unknown'],
+    ['Source file', details.sourceName || 'Unknown'],
+    ...(details.url ? [
+      ['URL', details.url],
+      ['Checked', details.urlCheckedAt ? new Date(details.urlCheckedAt).toLocaleString() : 'Never'],
+      ['Updated', details.urlUpdatedAt ? new Date(details.urlUpdatedAt).toLocaleString() : 'Never'],
+    ] : []),
+  ];
+
+  form.innerHTML = `
+    <label>Name <input type="text" class="bm-tmpl-details-name" maxlength="100" value="${escapeHtml(details.name)}"></label>
+    <label title="Templates in the same group are listed together, and can be shown, hidden, exported and removed together. Leave empty for no group">Group <input type="text" class="bm-tmpl-details-group" maxlength="50" list="bm-tmpl-groups" value="${escapeHtml(details.group)}"></label>
+    <datalist id="bm-tmpl-groups">${templateManager.getTemplateGroups().map(group => `<option value="${escapeHtml(group)}"></option>`).join('')}</datalist>
+    <dl>${rows.map(([term, value]) => `<dt>${term}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>
+    <label>Notes <textarea class="bm-tmpl-details-notes" rows="3" maxlength="1000">${escapeHtml(details.notes)}</textarea></label>
+    <div>
+      <button class="bm-tmpl-details-save" data-id="${id}">Save</button>
+      <button class="bm-tmpl-details-close" data-id="${id}">Close</button>
+    </div>`;
+}
+
+/** Updates the progress text of every template in the list without rebuilding the list.
+ * @since 0.83.0
+ */
+function renderTemplateProgress() {
+  const container = document.querySelector('#bm-template-list');
+  if (!container) { return; }
+  const summaries = (templateManager?.getTemplateSummaries?.() || []);
+  for (const span of container.querySelectorAll('.bm-tmpl-progress')) {
+    const summary = summaries.find(s => s.idKey === span.getAttribute('data-id'));
+    if (!summary) { continue; }
+    span.textContent = formatTemplateProgress(summary.progress);
+    span.title = formatTemplateProgressDetails(summary.progress);
+  }
+}
+
+/** Renders the remaining pixels of each palette color for every selected template.
+ * Clicking a color filters the overlay to only that color. Clicking it again shows every color.
+ * @since 0.83.0
+ */
+function renderColorBreakdown() {
+  const container = document.querySelector('#bm-color-breakdown');
+  if (!container) { return; }
+  const escapeHtml = (str) => String(str || '').replace(/[&<>"]|'/g, (m) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
+  const format = new Intl.NumberFormat();
+  const activeFilter = templateManager?.colorFilter ?? null;
+
+  const summaries = (templateManager?.getTemplateSummaries?.() || []).filter(s => templateSelection.has(s.idKey));
+  if (summaries.length === 0 && !activeFilter) { container.innerHTML = ''; return; }
+
+  const sections = summaries.map(s => {
+    const colors = templateManager.getTemplateColorBreakdown(s.idKey);
+    const rows = colors.map(color => `
+      <li>
+        <button class="bm-color-row${color.index === activeFilter ? ' bm-color-active' : ''}" data-index="${color.index}" title="Only show ${escapeHtml(color.name)}\n${format.format(color.total)} ${escapeHtml(color.name)} pixels in the template">
+          <span class="bm-color-swatch" style="background: rgb(${color.rgb.join(',')});"></span>
+          <span class="bm-color-name">${escapeHtml(color.name)}</span>
+          <span class="bm-color-count">${format.format(color.count)}</span>
+        </button>
+      </li>`).join('');
+    return `
+      <div class="bm-color-section">
+        <strong>${escapeHtml(s.name)}</strong>
+        <ul class="bm-color-list">${rows || '<li><small>Nothing left to place in loaded tiles.</small></li>'}</ul>
+      </div>`;
+  }).join('');
+
+  container.innerHTML = `
+    <div class="bm-color-header">
+      <strong>Remaining colors</strong>
+      ${activeFilter ? '<button class="bm-color-clear">Show all colors</button>' : ''}
+    </div>
+    ${sections}
+  `;
+
+  container.onclick = (ev) => {
+    const btn = ev.target.closest('button');
+    if (!btn) { return; }
+    const index = btn.classList.contains('bm-color-clear') ? null : Number(btn.getAttribute('data-index'));
+    const nextFilter = (index === templateManager.colorFilter) ? null : index;
+    templateManager.setColorFilter(nextFilter);
+    overlayMain?.handleDisplayStatus?.(nextFilter ? `Only showing ${colorpalette[nextFilter]?.name}.` : 'Showing all colors.');
+    renderColorBreakdown();
+    try { forceTileRefresh(); } catch (e) { /* noop */ }
+  };
+}
+
+/** Reads the pre-processing options from the pre-processing panel.
+ * Empty fields leave that part of the image unchanged.
+ * @returns {Object} The pre-processing options (see {@link defaultPreprocessOptions})
+ * @since 0.83.0
+ */
+function readPreprocessOptions() {
+  const readNumber = (selector) => Math.max(0, Math.floor(Number(document.querySelector(selector)?.value) || 0)) || null;
+  const crop = {
+    x: readNumber('#bm-input-crop-x'),
+    y: readNumber('#bm-input-crop-y'),
+    width: readNumber('#bm-input-crop-width'),
+    height: readNumber('#bm-input-crop-height'),
+  };
+  return {
+    crop: Object.values(crop).some(Boolean) ? crop : null,
+    width: readNumber('#bm-input-preprocess-width'),
+    height: readNumber('#bm-input-preprocess-height'),
+    resample: document.querySelector('#bm-select-preprocess-resample')?.value || 'nearest',
+    flipX: !!document.querySelector('#bm-input-flip-x')?.checked,
+    flipY: !!document.querySelector('#bm-input-flip-y')?.checked,
+    rotation: templateRotation,
+  };
+}
+
+/** Clears the pre-processing options for a newly uploaded image, and shows the panel if an image is uploaded.
+ * @since 0.83.0
+ */
+function resetTemplatePreprocessing() {
+  const container = document.querySelector('#bm-contain-preprocess');
+  if (!container) { return; }
+  for (const input of container.querySelectorAll('input')) {
+    if (input.type === 'checkbox') { input.checked = false; } else { input.value = ''; }
+  }
+  const resample = container.querySelector('#bm-select-preprocess-resample');
+  if (resample) { resample.value = 'nearest'; }
+  templateRotation = 0;
+  const rotation = container.querySelector('#bm-preprocess-rotation');
+  if (rotation) { rotation.textContent = '0°'; }
+  container.hidden = !document.querySelector('#bm-input-file-template')?.files?.[0];
+  stopTemplatePlacement(); // The ghost shows the previous image
+  scheduleTemplatePreview();
+}
+
+/** Rotates the uploaded image by 90° steps.
+ * @param {number} degrees - The clockwise rotation to add. Negative rotates counterclockwise
+ * @since 0.83.0
+ */
+function rotateTemplateImage(degrees) {
+  templateRotation = (templateRotation + degrees + 360) % 360;
+  const rotation = document.querySelector('#bm-preprocess-rotation');
+  if (rotation) { rotation.textContent = `${templateRotation}°`; }
+  scheduleTemplatePreview();
+}
+
+/** Renders the preview once the pre-processing options stop changing, since large images take a while to map.
+ * @since 0.83.0
+ */
+function scheduleTemplatePreview() {
+  clearTimeout(templatePreviewTimer);
+  templatePreviewTimer = setTimeout(renderTemplatePreview, 300);
+}
+
+/** Renders the uploaded image as it would be placed: pre-processed, then mapped to the palette.
+ * @since 0.83.0
+ */
+async function renderTemplatePreview() {
+  const file = document.querySelector('#bm-input-file-template')?.files?.[0];
+  const canvas = document.querySelector('#bm-canvas-preview');
+  const info = document.querySelector('#bm-preprocess-info');
+  if (!file || !canvas || !info) { return; }
+
+  const generation = ++templatePreviewGeneration;
+  info.textContent = 'Rendering preview...';
+  try {
+    const source = await createImageBitmap(file);
+    const sourceSize = `${source.width}×${source.height}`;
+    source.close();
+    const coords = templatePlacement?.coords || readCoordInputs() || [0, 0, 0, 0];
+    const preview = await templateManager.createTemplatePreview(await preprocessImage(file, readPreprocessOptions()), coords);
+    if (generation !== templatePreviewGeneration) { return; } // A newer preview was started meanwhile
+
+    canvas.width = preview.width;
+    canvas.height = preview.height;
+    canvas.getContext('2d').putImageData(new ImageData(preview.data, preview.width, preview.height), 0, 0);
+    info.textContent = `${sourceSize} → ${preview.width}×${preview.height}\n${new Intl.NumberFormat().format(preview.pixelCount)} pixels to place`;
+
+    // Keeps the ghost on the map the same as the preview
+    if (templatePlacement) {
+      const bitmap = await createImageBitmap(new ImageData(preview.data, preview.width, preview.height));
+      if (generation !== templatePreviewGeneration || !templatePlacement) { bitmap.close(); return; }
+      templatePlacement.bitmap?.close();
+      templatePlacement.bitmap = bitmap;
+      templatePlacement.width = preview.width;
+      templatePlacement.height = preview.height;
+      templateManager.setPlacement(templatePlacement, templatePlacement.coords);
+      try { forceTileRefresh(); } catch (e) { /* noop */ }
+    }
+  } catch (e) {
+    if (generation !== templatePreviewGeneration) { return; }
+    console.warn('Template preview failed:', e);
+    info.textContent = `Could not preview the image: ${e?.message || e}`;
+  }
+}
+
+/** Reads the four coordinate inputs.
+ * @returns {Array<number>|null} The coordinates as (tileX, tileY, pixelX, pixelY), or null if any input is empty or invalid
+ * @since 0.83.0
+ */
+function readCoordInputs() {
+  const inputs = ['#bm-input-tx', '#bm-input-ty', '#bm-input-px', '#bm-input-py'].map(selector => document.querySelector(selector));
+  if (inputs.some(input => !input || input.value === '' || !input.checkValidity())) { return null; }
+  return inputs.map(input => Number(input.value));
+}
+
+/** Offsets coordinates by a number of pixels, carrying over into the next tile when a tile border is crossed.
+ * @param {Array<number>} coords - The coordinates as (tileX, tileY, pixelX, pixelY)
+ * @param {number} dx - Pixels to move right (negative moves left)
+ * @param {number} dy - Pixels to move down (negative moves up)
+ * @returns {Array<number>} The offset coordinates, kept on the canvas
+ * @since 0.83.0
+ */
+function nudgeCoords([tileX, tileY, pixelX, pixelY], dx, dy) {
+  const tileSize = templateManager.tileSize;
+  const maxPixel = 2048 * tileSize - 1; // The canvas is 2048 tiles wide and tall
+  const x = Math.min(maxPixel, Math.max(0, tileX * tileSize + pixelX + dx));
+  const y = Math.min(maxPixel, Math.max(0, tileY * tileSize + pixelY + dy));
+  return [Math.floor(x / tileSize), Math.floor(y / tileSize), x % tileSize, y % tileSize];
+}
+
+/** Starts placing the uploaded image on the map.
+ * A ghost of the palette-mapped image is drawn on the map at the coordinates in the inputs, or at the last clicked pixel.
+ * Clicking a pixel moves the top left corner of the ghost there. Arrow keys nudge it by 1 pixel (10 with Shift).
+ * Enter (or the "Confirm" button) fills the coordinate inputs, and Escape cancels.
+ * @since 0.83.0
+ */
+async function startTemplatePlacement() {
+  if (!document.querySelector('#bm-input-file-template')?.files?.[0]) { overlayMain.handleDisplayError('No file selected!'); return; }
+
+  const clickedCoords = apiManager.coordsTilePixel?.map(Number);
+  const coords = readCoordInputs() || ((clickedCoords?.length === 4 && clickedCoords.every(Number.isFinite)) ? clickedCoords : null);
+  if (!coords) { overlayMain.handleDisplayError('Click the map where the template should go first!'); return; }
+
+  templatePlacement = { coords: coords, bitmap: null, width: 0, height: 0 };
+  window.addEventListener('keydown', handleTemplatePlacementKey, true);
+  const button = document.querySelector('#bm-button-place');
+  if (button) { button.textContent = 'Confirm'; }
+  overlayMain.handleDisplayStatus('Placing the template. Click the map to move its top left corner there.\nArrow keys nudge it (Shift: 10 pixels). Enter confirms, Escape cancels.');
+
+  clearTimeout(templatePreviewTimer);
+  await renderTemplatePreview(); // Also draws the ghost
+}
+
+/** Moves the ghost of the image that is being placed.
+ * @param {Array<number>} coords - The coordinates of the top left corner as (tileX, tileY, pixelX, pixelY)
+ * @since 0.83.0
+ */
+function moveTemplatePlacement(coords) {
+  if (!templatePlacement) { return; }
+  templatePlacement.coords = coords;
+  if (!templatePlacement.bitmap) { return; } // The ghost is drawn once the preview is ready
+  templateManager.setPlacement(templatePlacement, coords);
+  overlayMain.handleDisplayStatus(`Placing the template at ${coords.join(', ')}. Enter confirms, Escape cancels.`);
+
+  clearTimeout(templatePlacementTimer);
+  templatePlacementTimer = setTimeout(() => {
+    try { forceTileRefresh(); } catch (e) { /* noop */ }
+    if (templateManager.dither?.startsWith('bayer')) { scheduleTemplatePreview(); } // Ordered dithering depends on the position
+  }, 100);
+}
+
+/** Moves the image that is being placed with the arrow keys, and confirms or cancels the placement.
+ * Keys are ignored while typing in an input, so the coordinate inputs can still be edited.
+ * @param {KeyboardEvent} event - The key that was pressed
+ * @since 0.83.0
+ */
+function handleTemplatePlacementKey(event) {
+  if (!templatePlacement) { return; }
+  if (event.target?.closest?.('input, textarea, select, [contenteditable="true"]')) { return; }
+
+  const step = event.shiftKey ? 10 : 1;
+  const nudges = { 'ArrowLeft': [-step, 0], 'ArrowRight': [step, 0], 'ArrowUp': [0, -step], 'ArrowDown': [0, step] };
+
+  if (nudges[event.key]) {
+    const [dx, dy] = nudges[event.key];
+    moveTemplatePlacement(nudgeCoords(templatePlacement.coords, dx, dy));
+  } else if (event.key === 'Enter') {
+    confirmTemplatePlacement();
+  } else if (event.key === 'Escape') {
+    stopTemplatePlacement();
+    overlayMain.handleDisplayStatus('Placement cancelled.');
+  } else {
+    return; // Every other key still reaches the website
+  }
+
+  event.preventDefault();
+  event.stopPropagation(); // The map would pan with the arrow keys otherwise
+}
+
+/** Fills the coordinate inputs with the position of the image that is being placed, and stops placing it.
+ * @since 0.83.0
+ */
+function confirmTemplatePlacement() {
+  const coords = templatePlacement?.coords;
+  stopTemplatePlacement();
+  if (!coords) { return; }
+  overlayMain.updateInnerHTML('bm-input-tx', coords[0]);
+  overlayMain.updateInnerHTML('bm-input-ty', coords[1]);
+  overlayMain.updateInnerHTML('bm-input-px', coords[2]);
+  overlayMain.updateInnerHTML('bm-input-py', coords[3]);
+  overlayMain.handleDisplayStatus(`Template placed at ${coords.join(', ')}. Press "Create" to create it.`);
+}
+
+/** Stops placing the uploaded image, and removes its ghost from the map.
+ * @since 0.83.0
+ */
+function stopTemplatePlacement() {
+  if (!templatePlacement) { return; }
+  const wasDrawn = !!templatePlacement.bitmap;
+  templatePlacement.bitmap?.close();
+  templatePlacement = null;
+  window.removeEventListener('keydown', handleTemplatePlacementKey, true);
+  clearTimeout(templatePlacementTimer);
+  const button = document.querySelector('#bm-button-place');
+  if (button) { button.textContent = 'Place'; }
+  templateManager.setPlacement(null);
+  if (wasDrawn) { try { forceTileRefresh(); } catch (e) { /* noop */ } }
+}
+
+/** Reads the colors the user can place from the website palette, unless the colors were picked by hand.
+ * Only runs once per page load, since the palette is rebuilt every time it opens.
+ * @since 0.83.0
+ */
+function detectSitePaletteColors() {
+  if (paletteSubsetDetected || paletteSubsetSource === 'user') { return; }
+  const colors = templateManager.readSitePaletteColors();
+  if (!colors) { return; } // The palette is not open yet
+  paletteSubsetDetected = true;
+  const previousColors = String(templateManager.enabledColors);
+  applyPaletteSubset(colors, 'site');
+  if (String(templateManager.enabledColors) !== previousColors) {
+    overlayMain?.handleDisplayStatus?.(`Templates now only use the ${colors.length} colors you can place.`);
+  }
+}
+
+/** Sets the palette colors templates are mapped to, stores them, and redraws the templates.
+ * @param {Array<number>|null} colors - The palette indices that can be placed, or null if every color can be placed
+ * @param {'site'|'user'} source - Where the colors came from
+ * @since 0.83.0
+ */
+function applyPaletteSubset(colors, source) {
+  templateManager.setEnabledColors(colors);
+  paletteSubsetSource = source;
+  GM.setValue('bmPaletteSubset', JSON.stringify({ 'enabledColors': templateManager.enabledColors, 'source': source }));
+  renderPaletteSubset();
+  scheduleTemplatePreview();
+  try { forceTileRefresh(); } catch (e) { /* noop */ }
+}
+
+/** Renders a checkbox for every palette color, so the user can pick the colors templates are mapped to.
+ * @since 0.83.0
+ */
+function renderPaletteSubset() {
+  const container = document.querySelector('#bm-palette-subset');
+  if (!container) { return; }
+  const escapeHtml = (str) => String(str || '').replace(/[&<>"]|'/g, (m) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
+  const enabledColors = templateManager.enabledColors;
+  const colors = colorpalette.map((color, index) => ({ ...color, index })).slice(1); // Transparent can not be placed
+  const enabledCount = enabledColors?.length ?? colors.length;
+
+  // Keeps the panel open and scrolled where it was
+  const wasOpen = !!container.querySelector('details')?.open;
+  const scrollTop = container.querySelector('.bm-palette-list')?.scrollTop || 0;
+
+  const rows = colors.map(color => `
+    <li>
+      <label title="${escapeHtml(color.name)}">
+        <input type="checkbox" data-index="${color.index}"${(!enabledColors || enabledColors.includes(color.index)) ? ' checked' : ''}>
+        <span class="bm-color-swatch" style="background: rgb(${color.rgb.join(',')});"></span>
+        <span class="bm-color-name">${escapeHtml(color.name)}</span>
+      </label>
+    </li>`).join('');
+
+  container.innerHTML = `
+    <details${wasOpen ? ' open' : ''}>
+      <summary title="Templates are only mapped to the colors you can place">Palette: ${enabledCount} of ${colors.length} colors${paletteSubsetSource === 'site' ? ' (from website)' : ''}</summary>
+      <div class="bm-palette-actions">
+        <button data-action="all">All colors</button>
+        <button data-action="site" title="Uses the colors that are not locked in the palette of the website. Open the palette first">From website</button>
+      </div>
+      <ul class="bm-palette-list">${rows}</ul>
+    </details>
+  `;
+  const list = container.querySelector('.bm-palette-list');
+  if (list) { list.scrollTop = scrollTop; }
+
+  container.onchange = (ev) => {
+    if (!ev.target.matches('input[type="checkbox"]')) { return; }
+    const checked = [...container.querySelectorAll('input[type="checkbox"]:checked')].map(input => Number(input.getAttribute('data-index')));
+    if (checked.length === 0) {
+      ev.target.checked = true;
+      overlayMain?.handleDisplayError?.('At least one color must be enabled!');
+      return;
+    }
+    applyPaletteSubset(checked, 'user');
+  };
+
+  container.onclick = (ev) => {
+    const btn = ev.target.closest('button');
+    if (!btn) { return; }
+    if (btn.getAttribute('data-action') === 'all') {
+      applyPaletteSubset(null, 'user');
+      overlayMain?.handleDisplayStatus?.('Templates use every color.');
+      return;
+    }
+    const siteColors = templateManager.readSitePaletteColors();
+    if (!siteColors?.length) { overlayMain?.handleDisplayError?.('Could not read the palette! Open the palette on the website first.'); return; }
+    applyPaletteSubset(siteColors, 'site');
+    overlayMain?.handleDisplayStatus?.(`Templates now only use the ${siteColors.length} colors you can place.`);
+  };
 }
 
 function buildOverlayTabTemplate() {
@@ -0,0 +1,231 @@
+/** Matching of colors to the nearest palette color, with selectable color-distance metrics and dithering.
+ * Everything is inside this function, so it can be converted to a string and run in a Web Worker (see {@link templateTiling}).
+ * Because of this, it must not use anything from outside of itself (including imports).
+ * @returns {{colorMetrics: Object<string, {name: string, prepare: Function, distance: Function}>, ditherModes: Object<string, {name: string}>, getPaletteMatcher: Function, mapToPalette: Function}} The palette matching functions
+ * @since 0.83.0
+ * @example
+ * const { getPaletteMatcher } = paletteMatching();
+ * const matchColor = getPaletteMatcher(colorpalette.map(color => color.rgb), 'ciede2000');
+ * console.log(matchColor(250, 20, 30)); // 7 (Red)
+ */
+export function paletteMatching() {
+
+  // Converts an sRGB channel (0-255) to linear light (0-1)
+  const srgbToLinear = (channel) => {
+    const c = channel / 255;
+    return (c <= 0.04045) ? (c / 12.92) : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+
+  // Converts sRGB to CIELAB, using the D65 white point
+  const rgbToLab = (r, g, b) => {
+    const lr = srgbToLinear(r); const lg = srgbToLinear(g); const lb = srgbToLinear(b);
+    const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+    const y = (lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750);
+    const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+    const f = (t) => (t > 216 / 24389) ? Math.cbrt(t) : ((24389 / 27 * t + 16) / 116);
+    const fx = f(x); const fy = f(y); const fz = f(z);
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  };
+
+  // Squared Euclidean distance. Squared, since only the order of distances matters
+  const squaredDistance = (a, b) => {
+    const d0 = a[0] - b[0]; const d1 = a[1] - b[1]; const d2 = a[2] - b[2];
+    return d0*d0 + d1*d1 + d2*d2;
+  };
+
+  // "Redmean" weighted RGB distance, which approximates how much more sensitive eyes are to green than blue
+  const weightedRgbDistance = (a, b) => {
+    const redMean = (a[0] + b[0]) / 2;
+    const dr = a[0] - b[0]; const dg = a[1] - b[1]; const db = a[2] - b[2];
+    return (2 + redMean / 256) * dr*dr + 4 * dg*dg + (2 + (255 - redMean) / 256) * db*db;
+  };
+
+  // CIEDE2000 color difference between two CIELAB colors (Sharma, Wu & Dalal, 2005)
+  const ciede2000Distance = ([l1, a1, b1], [l2, a2, b2]) => {
+
+    const toDegrees = (radians) => radians * 180 / Math.PI;
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+
+    const c1 = Math.hypot(a1, b1);
+    const c2 = Math.hypot(a2, b2);
+    const cMean7 = Math.pow((c1 + c2) / 2, 7);
+    const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+
+    const a1Prime = a1 * (1 + g);
+    const a2Prime = a2 * (1 + g);
+    const c1Prime = Math.hypot(a1Prime, b1);
+    const c2Prime = Math.hypot(a2Prime, b2);
+    const h1Prime = (c1Prime === 0) ? 0 : (toDegrees(Math.atan2(b1, a1Prime)) + 360) % 360;
+    const h2Prime = (c2Prime === 0) ? 0 : (toDegrees(Math.atan2(b2, a2Prime)) + 360) % 360;
+
+    const deltaL = l2 - l1;
+    const deltaC = c2Prime - c1Prime;
+    let deltaHue = 0;
+    if (c1Prime * c2Prime !== 0) {
+      deltaHue = h2Prime - h1Prime;
+      if (deltaHue > 180) {deltaHue -= 360;} else if (deltaHue < -180) {deltaHue += 360;}
+    }
+    const deltaH = 2 * Math.sqrt(c1Prime * c2Prime) * Math.sin(toRadians(deltaHue / 2));
+
+    const lMean = (l1 + l2) / 2;
+    const cMeanPrime = (c1Prime + c2Prime) / 2;
+    let hMean = h1Prime + h2Prime;
+    if (c1Prime * c2Prime !== 0) {
+      if (Math.abs(h1Prime - h2Prime) <= 180) {hMean /= 2;}
+      else {hMean = (hMean < 360) ? ((hMean + 360) / 2) : ((hMean - 360) / 2);}
+    }
+
+    const t = 1
+      - 0.17 * Math.cos(toRadians(hMean - 30))
+      + 0.24 * Math.cos(toRadians(2 * hMean))
+      + 0.32 * Math.cos(toRadians(3 * hMean + 6))
+      - 0.20 * Math.cos(toRadians(4 * hMean - 63));
+    const lOffset = Math.pow(lMean - 50, 2);
+    const sL = 1 + (0.015 * lOffset) / Math.sqrt(20 + lOffset);
+    const sC = 1 + 0.045 * cMeanPrime;
+    const sH = 1 + 0.015 * cMeanPrime * t;
+    const cMeanPrime7 = Math.pow(cMeanPrime, 7);
+    const rT = -2 * Math.sqrt(cMeanPrime7 / (cMeanPrime7 + Math.pow(25, 7)))
+      * Math.sin(toRadians(60 * Math.exp(-Math.pow((hMean - 275) / 25, 2))));
+
+    const termL = deltaL / sL;
+    const termC = deltaC / sC;
+    const termH = deltaH / sH;
+    return Math.sqrt(termL*termL + termC*termC + termH*termH + rT * termC * termH);
+  };
+
+  // The selectable metrics. `prepare` converts RGB once per color, `distance` compares two prepared colors
+  const colorMetrics = {
+    'rgb': { name: 'RGB', prepare: (r, g, b) => [r, g, b], distance: squaredDistance },
+    'weightedRgb': { name: 'Weighted RGB', prepare: (r, g, b) => [r, g, b], distance: weightedRgbDistance },
+    'cie76': { name: 'CIELAB ΔE76', prepare: rgbToLab, distance: squaredDistance },
+    'ciede2000': { name: 'CIEDE2000', prepare: rgbToLab, distance: ciede2000Distance },
+  };
+
+  const matchers = new Map(); // Cache of matchers, by metric and palette
+
+  /** Returns a function that finds the nearest palette index of a color.
+   * Index 0 (Transparent) and colors that are null are never matched. Every color is only matched once, since results are cached.
+   * @param {Array<number[]|null>} palette - The RGB of each palette color, by palette index
+   * @param {string} [metric='rgb'] - The key of the color-distance metric in `colorMetrics`
+   * @returns {function(number, number, number): number} Finds the nearest palette index of an RGB color
+   * @throws {Error} If no palette color can be matched
+   */
+  const getPaletteMatcher = (palette, metric = 'rgb') => {
+
+    const matcherKey = `${metric}|${palette.join(';')}`;
+    if (matchers.has(matcherKey)) {return matchers.get(matcherKey);}
+
+    // Without a usable color, every pixel would be matched to a color that does not exist
+    const fallbackIndex = palette.findIndex((rgb, i) => i > 0 && rgb); // First usable color, in case none is nearer
+    if (fallbackIndex < 0) {throw new Error('No palette color is enabled. Enable at least one color.');}
+
+    const { prepare, distance } = colorMetrics[metric] || colorMetrics['rgb'];
+    const preparedPalette = palette.map(rgb => rgb ? prepare(rgb[0], rgb[1], rgb[2]) : null);
+    const cache = new Map(); // Nearest palette index, by 0xRRGGBB
+
+    const matchColor = (r, g, b) => {
+      const colorKey = (r << 16) | (g << 8) | b;
+      let bestIndex = cache.get(colorKey);
+      if (bestIndex !== undefined) {return bestIndex;}
+
+      const color = prepare(r, g, b);
+      let bestDistance = Infinity;
+      bestIndex = fallbackIndex;
+      for (let i = 1; i < preparedPalette.length; i++) {
+        if (!preparedPalette[i]) {continue;}
+        const colorDistance = distance(color, preparedPalette[i]);
+        if (colorDistance < bestDistance) {bestDistance = colorDistance; bestIndex = i;}
+      }
+
+      cache.set(colorKey, bestIndex);
+      return bestIndex;
+    };
+
+    matchers.set(matcherKey, matchColor);
+    return matchColor;
+  };
+
+  // The selectable dithering modes. Error diffusion spreads the matching error of each pixel to its neighbors,
+  // while ordered (Bayer) dithering offsets each pixel by a threshold that depends on its position
+  const ditherModes = {
+    'none': { name: 'None' },
+    'floydSteinberg': { name: 'Floyd–Steinberg', diffusion: [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]] },
+    'atkinson': { name: 'Atkinson', diffusion: [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]] },
+    'bayer2': { name: 'Bayer 2×2', bayerSize: 2 },
+    'bayer4': { name: 'Bayer 4×4', bayerSize: 4 },
+    'bayer8': { name: 'Bayer 8×8', bayerSize: 8 },
+  };
+
+  const bayerSpread = 48; // How far (in RGB) ordered dithering can offset a color. About the distance between neighboring palette colors
+
+  // Builds a Bayer threshold matrix, normalized to -0.5 to 0.5
+  const createBayerMatrix = (size) => {
+    let matrix = [[0]];
+    for (let n = 1; n < size; n *= 2) {
+      matrix = [
+        ...matrix.map(row => [...row.map(v => 4 * v), ...row.map(v => 4 * v + 2)]),
+        ...matrix.map(row => [...row.map(v => 4 * v + 3), ...row.map(v => 4 * v + 1)]),
+      ];
+    }
+    return matrix.map(row => row.map(v => (v + 0.5) / (size * size) - 0.5));
+  };
+
+  /** Maps every pixel of an image to the palette, optionally dithering it.
+   * Transparent pixels and #DEFACE pixels are not mapped, and do not receive diffused error.
+   * @param {Uint8ClampedArray} src - The RGBA pixels of the image
+   * @param {number} width - The width of the image in pixels
+   * @param {number} height - The height of the image in pixels
+   * @param {Array<number[]|null>} palette - The RGB of each palette color, by palette index. Colors that are null are never matched
+   * @param {Object} [options={}] - Optional parameters
+   * @param {string} [options.colorMetric='rgb'] - The key of the color-distance metric in `colorMetrics`
+   * @param {string} [options.dither='none'] - The key of the dithering mode in `ditherModes`
+   * @param {number} [options.originX=0] - The absolute X coordinate of the image, so ordered dithering lines up between images
+   * @param {number} [options.originY=0] - The absolute Y coordinate of the image, so ordered dithering lines up between images
+   * @returns {Uint8Array} The palette index of every pixel. 0 means the pixel is not mapped
+   * @throws {Error} If no palette color can be matched
+   */
+  const mapToPalette = (src, width, height, palette, { colorMetric = 'rgb', dither = 'none', originX = 0, originY = 0 } = {}) => {
+
+    const matchColor = getPaletteMatcher(palette, colorMetric);
+    const { diffusion, bayerSize } = ditherModes[dither] || ditherModes['none'];
+    const bayerMatrix = bayerSize ? createBayerMatrix(bayerSize) : null;
+    const work = diffusion ? Float32Array.from(src) : null; // Colors with the diffused error added
+    const indices = new Uint8Array(width * height);
+
+    // Only opaque, non-#DEFACE pixels are part of the template
+    const isMapped = (p) => (src[p + 3] !== 0) && !(src[p] === 222 && src[p + 1] === 250 && src[p + 2] === 206);
+    const clamp = (value) => Math.min(255, Math.max(0, Math.round(value)));
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+
+        const p = (y * width + x) * 4;
+        if (!isMapped(p)) {continue;}
+
+        if (bayerMatrix) {
+          const offset = bayerSpread * bayerMatrix[(originY + y) % bayerSize][(originX + x) % bayerSize];
+          indices[y * width + x] = matchColor(clamp(src[p] + offset), clamp(src[p + 1] + offset), clamp(src[p + 2] + offset));
+        } else if (diffusion) {
+          const r = clamp(work[p]); const g = clamp(work[p + 1]); const b = clamp(work[p + 2]);
+          const index = matchColor(r, g, b);
+          indices[y * width + x] = index;
+          const errorR = r - palette[index][0]; const errorG = g - palette[index][1]; const errorB = b - palette[index][2];
+          for (const [dx, dy, weight] of diffusion) {
+            const nx = x + dx; const ny = y + dy;
+            if (nx < 0 || nx >= width || ny >= height) {continue;}
+            const n = (ny * width + nx) * 4;
+            if (!isMapped(n)) {continue;}
+            work[n] += errorR * weight; work[n + 1] += errorG * weight; work[n + 2] += errorB * weight;
+          }
+        } else {
+          indices[y * width + x] = matchColor(src[p], src[p + 1], src[p + 2]);
+        }
+      }
+    }
+
+    return indices;
+  };
+
+  return { colorMetrics, ditherModes, getPaletteMatcher, mapToPalette };
+}
@@ -0,0 +1,142 @@
+import { uint8ToBase64Url, base64UrlToUint8 } from "./utils";
+
+/** Share codes: a template packed into one line of text, to be sent in chat.
+ * A share code is "BM1." followed by the base64url of the deflated template. The template is stored as
+ * its name, its coordinates, its size, and the run-length encoded palette index of every pixel.
+ * Every number is an unsigned LEB128 varint, so small numbers take one byte.
+ * @since 0.83.0
+ * @example
+ * const code = await encodeShareCode({ name: 'Logo', coords: [1231, 47, 183, 593], width: 2, height: 1, indexMap: new Uint8Array([5, 5]) });
+ * console.log(code); // "BM1.Y_HJT88_z6m_nfEiCxMjEysA"
+ * const { name, coords, width, height, indexMap } = await decodeShareCode(code);
+ */
+
+/** The text every share code starts with. The number is the version of the format.
+ * @since 0.83.0
+ */
+export const shareCodePrefix = 'BM1.';
+
+/** The most pixels a share code may have, so a malicious code can not fill the memory.
+ * @since 0.83.0
+ */
+const maxSharePixels = 4096 * 4096;
+
+/** The longest name a share code keeps, in characters.
+ * @since 0.83.0
+ */
+const maxShareNameLength = 100;
+
+/** Packs a template into a share code.
+ * @param {Object} template - The template
+ * @param {string} template.name - The display name
+ * @param {Array<number>} template.coords - The coordinates of the top left corner, as (tileX, tileY, pixelX, pixelY)
+ * @param {number} template.width - The width in pixels
+ * @param {number} template.height - The height in pixels
+ * @param {Uint8Array} template.indexMap - The palette index of every pixel, row by row. 0 means the pixel is not part of the template
+ * @returns {Promise<string>} The share code
+ * @since 0.83.0
+ */
+export async function encodeShareCode({ name, coords, width, height, indexMap }) {
+
+  const bytes = [];
+  const nameBytes = new TextEncoder().encode(String(name || '').slice(0, maxShareNameLength));
+  writeVarint(bytes, nameBytes.length);
+  bytes.push(...nameBytes);
+  for (const number of [...coords, width, height]) {writeVarint(bytes, number);}
+
+  // Runs of the same palette index, as (length, index)
+  for (let start = 0; start < indexMap.length;) {
+    let end = start + 1;
+    while (end < indexMap.length && indexMap[end] === indexMap[start]) {end++;}
+    writeVarint(bytes, end - start);
+    bytes.push(indexMap[start]);
+    start = end;
+  }
+
+  return shareCodePrefix + uint8ToBase64Url(await transformBytes(new Uint8Array(bytes), new CompressionStream('deflate-raw')));
+}
+
+/** Unpacks a share code.
+ * Whitespace in the code is ignored, since chat programs can break long codes into lines.
+ * @param {string} code - The share code
+ * @returns {Promise<{name: string, coords: Array<number>, width: number, height: number, indexMap: Uint8Array}>} The template. See {@link encodeShareCode}
+ * @throws {Error} If the text is not a share code, or the share code is damaged
+ * @since 0.83.0
+ */
+export async function decodeShareCode(code) {
+
+  code = String(code || '').replace(/\s+/g, '');
+  if (!code.startsWith(shareCodePrefix)) {
+    throw new Error(/^BM\d+\./.test(code) ? 'This share code was made by a newer version. Update the userscript to use it.' : 'This is not a share code.');
+  }
+
+  let bytes;
+  try {
+    bytes = await transformBytes(base64UrlToUint8(code.slice(shareCodePrefix.length)), new DecompressionStream('deflate-raw'));
+  } catch (e) {
+    throw new Error('The share code is damaged. Copy all of it.');
+  }
+
+  const reader = { bytes, offset: 0 };
+  const nameLength = readVarint(reader);
+  const name = new TextDecoder().decode(bytes.subarray(reader.offset, reader.offset + nameLength));
+  reader.offset += nameLength;
+  const coords = [readVarint(reader), readVarint(reader), readVarint(reader), readVarint(reader)];
+  const width = readVarint(reader);
+  const height = readVarint(reader);
+  if (!width || !height || (width * height > maxSharePixels)) {throw new Error('The share code is damaged, or its template is too large.');}
+
+  const indexMap = new Uint8Array(width * height);
+  let pixel = 0;
+  while (reader.offset < bytes.length) {
+    const length = readVarint(reader);
+    if (reader.offset >= bytes.length || pixel + length > indexMap.length) {throw new Error('The share code is damaged.');}
+    indexMap.fill(bytes[reader.offset++], pixel, pixel + length);
+    pixel += length;
+  }
+  if (pixel !== indexMap.length) {throw new Error('The share code is damaged. Copy all of it.');}
+
+  return { name, coords, width, height, indexMap };
+}
+
+/** Appends a number as an unsigned LEB128 varint.
+ * @param {Array<number>} bytes - The bytes to append to
+ * @param {number} number - A non-negative integer
+ * @since 0.83.0
+ */
+function writeVarint(bytes, number) {
+  number = Math.max(0, Math.floor(number));
+  while (number >= 0x80) {
+    bytes.push((number % 0x80) | 0x80);
+    number = Math.floor(number / 0x80);
+  }
+  bytes.push(number);
+}
+
+/** Reads an unsigned LEB128 varint, and moves past it.
+ * @param {{bytes: Uint8Array, offset: number}} reader - The bytes, and the offset to read at
+ * @returns {number} The number
+ * @throws {Error} If the bytes end in the middle of the number
+ * @since 0.83.0
+ */
+function readVarint(reader) {
+  let number = 0;
+  let scale = 1;
+  while (true) {
+    if (reader.offset >= reader.bytes.length || scale > 2 ** 35) {throw new Error('The share code is damaged.');}
+    const byte = reader.bytes[reader.offset++];
+    number += (byte & 0x7f) * scale;
+    if (byte < 0x80) {return number;}
+    scale *= 0x80;
+  }
+}
+
+/** Runs bytes through a compression or decompression stream.
+ * @param {Uint8Array} bytes - The bytes
+ * @param {CompressionStream|DecompressionStream} stream - The stream
+ * @returns {Promise<Uint8Array>} The compressed or decompressed bytes
+ * @since 0.83.0
+ */
+async function transformBytes(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
@@ -0,0 +1,189 @@
+/** Importers that read the template files of Blue Marble and of other template tools.
+ * Each importer detects its format and converts it into what {@link TemplateManager} imports:
+ * a Blue Marble JSON object (which is then upgraded by the schema migrations), and/or images with the coordinates to place them at.
+ * The parsers only read the JSON object, so they work without a browser.
+ * @since 0.83.0
+ * @example
+ * const importer = findTemplateImporter(json, { whoami: 'BlueMarble', tileSize: 1000 });
+ * const { json: blueMarbleJSON, images, skipped } = importer.parse(json, { whoami: 'BlueMarble', tileSize: 1000 });
+ * // images: [{ key: 'Logo', name: 'Logo', coords: [1231, 47, 183, 593], source: 'https://example.com/logo.png', crop: null, enabled: true }]
+ */
+
+/** An image that a template is made from, read from a template file.
+ * @typedef {Object} ImportedImage
+ * @property {string} key - Identifies the image in its file, so the template can be found again when the file changes
+ * @property {string} name - The display name of the template
+ * @property {Array<number>} coords - The coordinates of the top left corner, as (tileX, tileY, pixelX, pixelY)
+ * @property {string} source - The URL, data URL, or file name of the image
+ * @property {{x: number, y: number, width: number, height: number}|null} crop - The part of the image to use, or null to use all of it
+ * @property {boolean} enabled - If the template is shown
+ * @since 0.83.0
+ */
+
+/** A template file format.
+ * @typedef {Object} TemplateImporter
+ * @property {string} name - The name of the format, shown to the user
+ * @property {function(Object, Object): boolean} detect - Checks if a JSON object is in this format
+ * @property {function(Object, Object): {json: Object|null, images: Array<ImportedImage>, skipped: Array<{name: string, reason: string}>}} parse - Converts a JSON object in this format
+ * @since 0.83.0
+ */
+
+/** The number of tiles the canvas is wide and tall.
+ * @since 0.83.0
+ */
+const canvasTiles = 2048;
+
+/** Converts a pixel position on the whole canvas to tile and pixel coordinates.
+ * @param {number} x - The horizontal position in pixels, from the left edge of the canvas
+ * @param {number} y - The vertical position in pixels, from the top edge of the canvas
+ * @param {number} [tileSize=1000] - The number of pixels in a tile
+ * @returns {Array<number>|null} The coordinates as (tileX, tileY, pixelX, pixelY), or null if the position is not on the canvas
+ * @since 0.83.0
+ */
+export function pixelToCoords(x, y, tileSize = 1000) {
+  x = Number(x);
+  y = Number(y);
+  if (!Number.isInteger(x) || !Number.isInteger(y)) {return null;}
+  if (x < 0 || y < 0 || x >= canvasTiles * tileSize || y >= canvasTiles * tileSize) {return null;}
+  return [Math.floor(x / tileSize), Math.floor(y / tileSize), x % tileSize, y % tileSize];
+}
+
+/** Reads tile and pixel coordinates, written as an array or as text like "1231, 47, 183, 593".
+ * @param {Array<number>|string} value - The coordinates
+ * @param {number} [tileSize=1000] - The number of pixels in a tile
+ * @returns {Array<number>|null} The coordinates as (tileX, tileY, pixelX, pixelY), or null if they are malformed
+ * @since 0.83.0
+ */
+export function parseCoords(value, tileSize = 1000) {
+  const coords = (typeof value === 'string') ? value.split(',').map(part => Number(part.trim())) : value;
+  if (!Array.isArray(coords) || coords.length !== 4) {return null;}
+  if (!coords.every(number => Number.isInteger(Number(number)) && Number(number) >= 0)) {return null;}
+  const [tileX, tileY, pixelX, pixelY] = coords.map(Number);
+  if (tileX >= canvasTiles || tileY >= canvasTiles || pixelX >= tileSize || pixelY >= tileSize) {return null;}
+  return [tileX, tileY, pixelX, pixelY];
+}
+
+/** Parses a Blue Marble template file.
+ * Upstream Blue Marble files ("whoami" is "BlueMarble") have the same structure. Their older schema versions are upgraded by the schema migrations.
+ * @param {Object} json - The JSON object
+ * @returns {{json: Object, images: Array<ImportedImage>, skipped: Array<{name: string, reason: string}>}} The JSON object, unchanged
+ * @since 0.83.0
+ */
+export function parseBlueMarbleTemplates(json) {
+  return { json: json, images: [], skipped: [] };
+}
+
+/** Parses an osu!place style template file, as used by the r/place template managers.
+ * Every template is an image URL ("sources") with the position of its top left corner on the canvas ("x", "y").
+ * Animated templates (with "frameWidth" and "frameHeight") use their first frame.
+ * @param {Object} json - The JSON object, like `{ "faction": "osu!", "templates": [{ "name": "Logo", "sources": ["https://example.com/logo.png"], "x": 1231183, "y": 47593 }] }`
+ * @param {Object} [context={}] - Details of the canvas
+ * @param {number} [context.tileSize=1000] - The number of pixels in a tile
+ * @returns {{json: null, images: Array<ImportedImage>, skipped: Array<{name: string, reason: string}>}} The images of the templates, and the templates that can not be placed
+ * @since 0.83.0
+ */
+export function parseOSUTemplates(json, { tileSize = 1000 } = {}) {
+
+  const images = [];
+  const skipped = [];
+  const keys = new Set();
+
+  for (const [index, template] of json['templates'].entries()) {
+
+    const name = String(template?.['name'] || `Template ${index + 1}`);
+    const source = [].concat(template?.['sources'] ?? template?.['source'] ?? []).find(source => (typeof source === 'string') && source);
+    const coords = pixelToCoords(template?.['x'], template?.['y'], tileSize);
+    if (!source) {skipped.push({ name, reason: 'no image' }); continue;}
+    if (!coords) {skipped.push({ name, reason: 'not on the canvas' }); continue;}
+
+    const frameWidth = Number(template['frameWidth']);
+    const frameHeight = Number(template['frameHeight']);
+    const crop = (frameWidth > 0 && frameHeight > 0) ? { x: 0, y: 0, width: frameWidth, height: frameHeight } : null;
+
+    // Names are usually unique. The position in the file tells templates with the same name apart
+    const key = keys.has(name) ? `${name} #${index + 1}` : name;
+    keys.add(key);
+
+    images.push({ key, name, coords, source, crop, enabled: true });
+  }
+
+  return { json: null, images, skipped };
+}
+
+/** Parses the sidecar file of a plain image, which tells where the image is placed.
+ * The position is either tile and pixel coordinates ("coords"), or the position on the canvas ("x", "y").
+ * @param {Object} json - The JSON object, like `{ "image": "logo.png", "coords": [1231, 47, 183, 593] }` or `{ "url": "https://example.com/logo.png", "x": 1231183, "y": 47593 }`
+ * @param {Object} [context={}] - Details of the canvas
+ * @param {number} [context.tileSize=1000] - The number of pixels in a tile
+ * @returns {{json: null, images: Array<ImportedImage>, skipped: Array<{name: string, reason: string}>}} The image, or why it can not be placed
+ * @throws {Error} If the name of the image is malformed
+ * @since 0.83.0
+ */
+export function parseImageSidecar(json, { tileSize = 1000 } = {}) {
+
+  const source = [json['image'], json['file'], json['src'], json['url']].find(source => (typeof source === 'string') && source);
+
+  let fileName = '';
+  try {
+    fileName = decodeURIComponent(source.split(/[?#]/)[0].split('/').pop() || '');
+  } catch (e) {
+    throw new Error('This file is not a template file in a known format. The name of its image is malformed.'); // Like "logo%.png"
+  }
+  const name = String(json['name'] || (source.startsWith('data:') ? 'Template' : fileName.replace(/\.[^/.]+$/, '')) || 'Template');
+  const coords = (json['coords'] !== undefined) ? parseCoords(json['coords'], tileSize) : pixelToCoords(json['x'], json['y'], tileSize);
+
+  if (!coords) {return { json: null, images: [], skipped: [{ name, reason: 'malformed coordinates' }] };}
+  return { json: null, images: [{ key: name, name, coords, source, crop: null, enabled: json['enabled'] !== false }], skipped: [] };
+}
+
+/** The known template file formats, in the order they are detected.
+ * @type {Array<TemplateImporter>}
+ * @since 0.83.0
+ */
+export const templateImporters = [
+  {
+    name: 'Blue Marble',
+    detect: (json, { whoami } = {}) => ((json?.['whoami'] === 'BlueMarble') || (!!whoami && json?.['whoami'] === whoami))
+      && (typeof json?.['templates'] === 'object') && (json['templates'] !== null) && !Array.isArray(json['templates']),
+    parse: parseBlueMarbleTemplates,
+  },
+  {
+    name: 'osu!place',
+    detect: (json) => Array.isArray(json?.['templates']),
+    parse: parseOSUTemplates,
+  },
+  {
+    name: 'Image with coordinates',
+    detect: (json) => (typeof json === 'object') && (json !== null) && !Array.isArray(json) && !('templates' in json)
+      && [json['image'], json['file'], json['src'], json['url']].some(source => (typeof source === 'string') && source)
+      && ((json['coords'] !== undefined) || (json['x'] !== undefined && json['y'] !== undefined)),
+    parse: parseImageSidecar,
+  },
+];
+
+/** Adds a template file format. It is detected after the formats that are already known.
+ * @param {TemplateImporter} importer - The format
+ * @since 0.83.0
+ */
+export function registerTemplateImporter(importer) {
+  if ((typeof importer?.detect !== 'function') || (typeof importer?.parse !== 'function')) {
+    throw new Error('A template importer needs a detect and a parse function.');
+  }
+  templateImporters.push(importer);
+}
+
+/** Finds the format of a template file.
+ * @param {Object} json - The JSON object of the file
+ * @param {Object} [context={}] - Details the importers need, like `{ whoami: 'BlueMarble', tileSize: 1000 }`
+ * @returns {TemplateImporter|null} The format, or null if no importer knows it
+ * @since 0.83.0
+ */
+export function findTemplateImporter(json, context = {}) {
+  return templateImporters.find(importer => {
+    try {
+      return importer.detect(json, context);
+    } catch (e) {
+      return false; // A broken importer does not stop the others
+    }
+  }) || null;
+}
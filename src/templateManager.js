@@ -1,9 +1,18 @@
 import Template from "./Template";
-import { base64ToUint8, numberToEncoded, colorpalette } from "./utils";
+import TemplateStorage from "./templateStorage";
+import { findTemplateImporter } from "./templateImporters";
+import { defaultPreprocessOptions, preprocessImage } from "./imageProcessing";
+import { encodeShareCode, decodeShareCode } from "./shareCode";
+import { numberToEncoded, encodedToNumber, colorpalette, compareVersions, uint8ToBase64, base64ToUint8, sha256Hex } from "./utils";
 
 /** Manages the template system.
  * This class handles all external requests for template modification, creation, and analysis.
  * It serves as the central coordinator between template instances and the user interface.
+ * The JSON object is kept in TamperMonkey (GreaseMonkey) storage, while the tile images are kept in IndexedDB (see {@link TemplateStorage}).
+ * Tile images are unscaled PNGs with the exact colors of the source image, and every display variant is regenerated from them.
+ * They are only inlined as base 64 ("tiles") in exported files, or when IndexedDB is unavailable.
+ * A template that is tiled again (e.g. moved) stores its new tile images under the next "tileGeneration",
+ * so the old ones stay intact while the history can still restore them.
  * @class TemplateManager
  * @since 0.55.8
  * @example
@@ -11,24 +20,36 @@ import { base64ToUint8, numberToEncoded, colorpalette } from "./utils";
  * {
  *   "whoami": "BlueMarble",
  *   "scriptVersion": "1.13.0",
- *   "schemaVersion": "2.1.0",
+ *   "schemaVersion": "1.4.0",
  *   "templates": {
  *     "0 $Z": {
  *       "name": "My Template",
+ *       "coords": "1231, 47, 183, 593",
  *       "enabled": true,
- *       "tiles": {
- *         "1231,0047,183,593": "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA",
- *         "1231,0048,183,000": "data:image/png;AAAFCAYAAACNbyblAAAAHElEQVQI12P4"
+ *       "colorMetric": "ciede2000",
+ *       "dither": "floydSteinberg",
+ *       "pixelCount": 1024,
+ *       "tileKeys": ["1231,0047,183,593", "1231,0048,183,000"],
+ *       "tileCounts": {
+ *         "1231,0047,183,593": { "pixels": 1000, "colors": { "1": 800, "5": 200 } },
+ *         "1231,0048,183,000": { "pixels": 24, "colors": { "1": 24 } }
  *       }
  *     },
  *     "1 $Z": {
  *       "name": "My Template",
  *       "URL": "https://github.com/SwingTheVine/Wplace-BlueMarble/blob/main/dist/assets/Favicon.png",
- *       "URLType": "template",
+ *       "URLType": "image",
+ *       "URLHash": "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad",
+ *       "URLCheckedAt": "2025-08-01T12:30:00.000Z",
+ *       "URLUpdatedAt": "2025-07-30T08:00:00.000Z",
+ *       "coords": "375, 1846, 276, 188",
+ *       "tileGeneration": 2,
  *       "enabled": false,
+ *       "pixelCount": 2500,
+ *       "tileKeys": ["0375,1846,276,188", "0376,1846,000,188"],
  *       "tiles": {
- *         "375,1846,276,188": "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA",
- *         "376,1846,000,188": "data:image/png;AAAFCAYAAACNbyblAAAAHElEQVQI12P4"
+ *         "0375,1846,276,188": "iVBORw0KGgoAAAANSUhEUgAA",
+ *         "0376,1846,000,188": "AAAFCAYAAACNbyblAAAAHElEQVQI12P4"
  *       }
  *     }
  *   }
@@ -36,16 +57,98 @@ import { base64ToUint8, numberToEncoded, colorpalette } from "./utils";
  */
 export default class TemplateManager {
 
+  /** Migrations that upgrade a template JSON object by one schema version each.
+   * The key is the schema version the migration upgrades from.
+   * Every migration must set `schemaVersion` to the version it upgrades to.
+   * Migrations get the options of {@link TemplateManager#migrateJSON}, e.g. whether the tile images that are not inlined can be read from storage.
+   * @since 0.83.0
+   */
+  static #schemaMigrations = {
+
+    // 1.0.0 -> 1.1.0: Normalizes the values that older versions (and upstream Blue Marble) stored loosely
+    '1.0.0': (json, manager) => {
+      json.whoami = manager.name.replace(' ', '');
+      for (const templateValue of Object.values(json.templates || {})) {
+        if (Array.isArray(templateValue.coords)) {templateValue.coords = templateValue.coords.join(', ');}
+        templateValue.enabled = (templateValue.enabled !== false);
+        // Tiles might be stored as data URLs (e.g. "data:image/png;base64,iVBOR...") instead of plain base 64
+        for (const [tileKey, encodedTile] of Object.entries(templateValue['tiles'] || {})) {
+          templateValue['tiles'][tileKey] = String(encodedTile).replace(/^data:[^,]*,/, '');
+        }
+      }
+      json.schemaVersion = '1.1.0';
+      return json;
+    },
+
+    // 1.1.0 -> 1.2.0: Lists the tile keys, so templates can be loaded before their tile images are
+    '1.1.0': (json) => {
+      for (const templateValue of Object.values(json.templates || {})) {
+        templateValue.tileKeys = Object.keys(templateValue['tiles'] || {});
+      }
+      json.schemaVersion = '1.2.0';
+      return json;
+    },
+
+    // 1.2.0 -> 1.3.0: Stores the tile images unscaled, instead of scaled by 3 and masked
+    '1.2.0': async (json, manager, { isStored, skipped }) => {
+
+      if (!isStored) {TemplateManager.#skipTemplatesWithoutTiles(json, skipped);}
+
+      // Every tile is converted before any is written, so a failure leaves the stored tiles untouched
+      const convertedTiles = [];
+      for (const [idKey, templateValue] of Object.entries(json.templates || {})) {
+        for (const tileKey of templateValue.tileKeys || []) {
+          const encodedTile = templateValue['tiles']?.[tileKey];
+          const tileBlob = encodedTile ? TemplateManager.#base64ToBlob(encodedTile) : await manager.templateStorage.getTile(idKey, tileKey);
+          if (!tileBlob) {continue;} // Missing tiles are reported when the template is drawn
+          convertedTiles.push({ idKey, tileKey, templateValue, isInline: !!encodedTile, tileBlob: await Template.unscaleLegacyTile(tileBlob, manager.drawMult) });
+        }
+      }
+
+      for (const { idKey, tileKey, templateValue, isInline, tileBlob } of convertedTiles) {
+        if (isInline) {
+          templateValue['tiles'][tileKey] = uint8ToBase64(new Uint8Array(await tileBlob.arrayBuffer()));
+        } else {
+          await manager.templateStorage.putTile(idKey, tileKey, tileBlob);
+        }
+      }
+
+      json.schemaVersion = '1.3.0';
+      return json;
+    },
+
+    // 1.3.0 -> 1.4.0: Counts only the colored pixels, per tile and per color, instead of width times height
+    '1.3.0': async (json, manager, { isStored, skipped }) => {
+      if (!isStored) {TemplateManager.#skipTemplatesWithoutTiles(json, skipped);}
+      for (const [idKey, templateValue] of Object.entries(json.templates || {})) {
+        const tileBlobs = {};
+        for (const tileKey of templateValue.tileKeys || []) {
+          const encodedTile = templateValue['tiles']?.[tileKey];
+          const tileBlob = encodedTile ? TemplateManager.#base64ToBlob(encodedTile) : await manager.templateStorage.getTile(idKey, tileKey);
+          if (tileBlob) {tileBlobs[tileKey] = tileBlob;} // Missing tiles are reported when the template is drawn
+        }
+        await manager.#countTemplatePixels(templateValue, tileBlobs);
+      }
+      json.schemaVersion = '1.4.0';
+      return json;
+    },
+  };
+
   /** The constructor for the {@link TemplateManager} class.
+   * @param {Object} [options={}] - Optional parameters
+   * @param {function(string): Promise<{bytes: ArrayBuffer, contentType: string}>} [options.fetchFile] - Downloads the file at a URL, for subscriptions and imported images. Defaults to the download of the userscript manager
    * @since 0.55.8
    */
-  constructor(name, version, overlay) {
+  constructor(name, version, overlay, { fetchFile = null } = {}) {
 
     // Meta
     this.name = name; // Name of userscript
     this.version = version; // Version of userscript
     this.overlay = overlay; // The main instance of the Overlay class
-    this.templatesVersion = '1.0.0'; // Version of JSON schema
+    this.templatesVersion = '1.4.0'; // Version of JSON schema
+    this.templateStorage = new TemplateStorage(); // IndexedDB storage of the template tile images
+    this.templateCreation = null; // AbortController of the template being created, if any
+    this.templatesStorageBlocked = false; // True when the stored templates could not be loaded, so they must not be overwritten
     this.userID = null; // The ID of the current user
     this.encodingBase = '!#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[]^_`abcdefghijklmnopqrstuvwxyz{|}~'; // Characters to use for encoding/decoding
     this.tileSize = 1000; // The number of pixels in a tile. Assumes the tile is square
@@ -63,12 +166,27 @@ export default class TemplateManager {
     this.templatesShouldBeDrawn = true; // Should ALL templates be drawn to the canvas?
     this.statusLastUpdate = 0; // Timestamp for last status UI update (ms)
     this.statusUpdateIntervalMs = 500; // Throttle interval for status updates
+    this.progressLastUpdate = 0; // Timestamp for last progress UI update (ms)
+    this.onProgressUpdate = null; // Callback for the UI when template progress changes
     this.debug = false; // Verbose logging toggle
     this.autoColorLive = true; // Live toggle for auto-colored preview
+    this.colorMetric = 'ciede2000'; // Color-distance metric used to map the colors of new templates to the palette
+    this.dither = 'none'; // Dithering mode used to map the colors of new templates to the palette
+    this.enabledColors = null; // Palette indices the user can place, or null when every color can be placed
     this.mergedTileCache = new Map(); // Cache of merged tile images for quick re-renders
     this.cacheVersion = 0; // Bump to invalidate cache when templates change
-    this.maxTemplates = 10; // Maximum number of templates supported
+    this.memoryBudget = 1024 * 1024 * 1024; // Estimated bitmap memory (in bytes) the shown templates may use together
+    this.subscriptionInterval = 30 * 60 * 1000; // How often (in ms) the URLs templates are subscribed to are checked for changes
+    this.subscriptionRefresh = null; // Promise of the subscription check that is running, if any
+    this.fetchFile = fetchFile || TemplateManager.#fetchURL; // Downloads the file at a URL
+    this.history = { 'undo': [], 'redo': [] }; // Changes to the templates that can be undone, and undone changes that can be redone
+    this.historyLimit = 50; // The most changes that can be undone
+    this.tileWrites = 0; // The number of template tile writes in progress. Unused tiles are not purged meanwhile
     this.lastSelectedPaletteIndex = null; // Track last auto-selected palette index to avoid redundant actions
+    this.colorFilter = null; // Palette index to exclusively draw, or null to draw every color
+    this.renderMode = 'full'; // 'full' draws the whole template, 'errors' only marks wrong and unplaced pixels
+    this.placement = null; // Ghost of a template that is being placed: {bitmap, width, height, coords}
+    this.placementOpacity = 0.6; // Opacity of the ghost, so the canvas under it stays visible
 
     // Zoom behavior
     this.zoomLevel = null; // Latest known zoom level (if provided by site events)
@@ -80,6 +198,10 @@ export default class TemplateManager {
     this.zoomOpacity = 0.4; // Opacity to use when zoomed-out (small-squares preview)
     this.isZoomedOut = true; // Derived state
 
+    // Template style
+    this.defaultTemplateStyle = { "opacityZoomedOut": this.zoomOpacity, "opacityZoomedIn": 1, "tint": null, "blendMode": 'source-over' }; // How templates are drawn unless their style is changed
+    this.blendModes = { 'source-over': 'Normal', 'multiply': 'Multiply', 'screen': 'Screen', 'overlay': 'Overlay', 'darken': 'Darken', 'lighten': 'Lighten', 'difference': 'Difference' }; // Blend modes a template can be drawn with, by canvas composite operation
+
     // Bind handlers and attach listeners early so we can react to zoom state
     this.onZoom = (e) => { this.#updateZoomState(e); };
     this.onMove = () => { this.#updateZoomState(); };
@@ -149,24 +271,28 @@ export default class TemplateManager {
    * @param {string} name - The display name of the template
    * @param {Array<number, number, number, number>} coords - The coordinates of the top left corner of the template
    * @param {boolean} [autoColor=false] - When true, map colors to nearest palette during processing
+   * @param {string} [sourceName] - The file name of the image the template was made from. Defaults to the name of the file blob
+   * @param {Object} [options={}] - How the image is mapped to the palette
+   * @param {string} [options.colorMetric] - The color metric. Defaults to the one new templates use
+   * @param {string} [options.dither] - The dithering mode. Defaults to the one new templates use
+   * @param {Object} [options.values={}] - More values to store in the JSON object of the template (e.g. the URL it is subscribed to)
+   * @returns {Promise<Template|null>} The created template, or null if it was not created (e.g. cancelled)
    * @since 0.65.77
    */
-  async createTemplate(blob, name, coords, autoColor = false) {
+  async createTemplate(blob, name, coords, autoColor = false, sourceName = blob?.name || '', { colorMetric = this.colorMetric, dither = this.dither, values = {} } = {}) {
+
+    // Only one template is processed at a time, so sort IDs can not collide
+    if (this.templateCreation) {
+      this.overlay?.handleDisplayError?.('A template is already being created. Wait for it to finish, or cancel it.');
+      return null;
+    }
 
     // Creates the JSON object if it does not already exist
     if (!this.templatesJSON) {this.templatesJSON = await this.createJSON(); console.log(`Creating JSON...`);}
 
     this.overlay.handleDisplayStatus(`Creating template at ${coords.join(', ')}...`);
 
-    // Enforce maximum template count
-    if (this.templatesArray.length >= this.maxTemplates) {
-      this.overlay?.handleDisplayError?.(`You can have up to ${this.maxTemplates} templates. Remove one to add another.`);
-      return;
-    }
-
-    // Compute a unique sortID (lowest available non-negative integer)
-    const usedSortIDs = new Set(this.templatesArray.map(t => t.sortID));
-    let nextSortID = 0; while (usedSortIDs.has(nextSortID)) { nextSortID++; }
+    const nextSortID = this.#getFreeSortID(); // Lowest available non-negative integer
 
     // Creates a new template instance
     const template = new Template({
@@ -176,59 +302,341 @@ export default class TemplateManager {
       file: blob,
       coords: coords,
       autoColor: autoColor,
+      colorMetric: colorMetric,
+      dither: dither,
+      enabledColors: this.enabledColors,
       enabled: true
     });
     // Compose unique key used in JSON (sortID + authorID)
     template.idKey = `${template.sortID} ${template.authorID}`;
     //template.chunked = await template.createTemplateTiles(this.tileSize); // Chunks the tiles
-    const { templateTiles, templateTilesAuto, templateTilesFull, templateTilesAutoFull, templateTilesBuffers } = await template.createTemplateTiles(this.tileSize); // Chunks the tiles
-    // Store both versions for instant swapping without reprocessing
-    template.chunkedOriginal = templateTiles;
-    template.chunkedAuto = templateTilesAuto;
-    template.chunkedOriginalFull = templateTilesFull; // Non-masked (solid) variants
-    template.chunkedAutoFull = templateTilesAutoFull; // Non-masked (solid) variants
-    // Default active set honors live toggle first, falling back to creation-time autoColor
-    template.chunked = (this.autoColorLive || autoColor) ? (template.chunkedAuto || templateTiles) : (template.chunkedOriginal || templateTiles);
+    this.templateCreation = new AbortController();
+    let templateTileSets;
+    try {
+      templateTileSets = await template.createTemplateTiles({ // Chunks the tiles
+        signal: this.templateCreation.signal,
+        onProgress: ({ tilesDone, tileCount }) => this.overlay.handleDisplayStatus(`Creating template at ${coords.join(', ')}...
+Processed ${tilesDone} of ${tileCount} tiles`),
+      });
+    } catch (error) {
+      if (error?.name !== 'AbortError') {throw error;}
+      this.overlay.handleDisplayStatus('Template creation cancelled.');
+      return null;
+    } finally {
+      this.templateCreation = null;
+    }
+    const { templateTilesBlobs } = templateTileSets;
+    this.#applyTemplateTiles(template, templateTileSets);
+    template.tileKeys = Object.keys(templateTilesBlobs);
 
     // Appends/updates a child into the templates object
     // The child's name is the number of templates already in the list (sort order) plus the encoded player ID
-    this.templatesJSON.templates[template.idKey] = {
+    const templateValue = {
       "name": template.displayName, // Display name of template
       "coords": coords.join(', '), // The coords of the template
       "enabled": true,
-      "tiles": templateTilesBuffers // Stores the chunked tile buffers
+      "colorMetric": template.colorMetric, // The tiles are palette mapped again when loaded, so the metric must stay the same
+      "dither": template.dither, // The same goes for the dithering mode
+      "pixelCount": template.pixelCount, // Known before the tiles are loaded
+      "width": template.width,
+      "height": template.height,
+      "createdAt": new Date().toISOString(),
+      "sourceName": sourceName,
+      "tileKeys": template.tileKeys, // The tile images are stored separately
+      "tileCounts": template.tileCounts,
+      ...values // Before the change is added to the history, so undoing and redoing it keeps them
     };
+    await this.#storeTemplateTiles(template.idKey, templateValue, templateTilesBlobs);
+    this.templatesJSON.templates[template.idKey] = templateValue;
 
     this.templatesArray.push(template); // Pushes the Template object instance to the Template Array
 
+    // The enabled colors might have changed while the template was processed
+    if (String(template.enabledColors) !== String(this.enabledColors)) {
+      template.enabledColors = this.enabledColors;
+      this.#unloadTemplateTiles(template);
+    }
+
     // ==================== PIXEL COUNT DISPLAY SYSTEM ====================
     // Display pixel count statistics with internationalized number formatting
     // This provides immediate feedback to users about template complexity and size
     const pixelCountFormatted = new Intl.NumberFormat().format(template.pixelCount);
     this.overlay.handleDisplayStatus(`Template created at ${coords.join(', ')}! Total pixels: ${pixelCountFormatted}`);
 
-    console.log(Object.keys(this.templatesJSON.templates).length);
-    console.log(this.templatesJSON);
-    console.log(this.templatesArray);
-    console.log(JSON.stringify(this.templatesJSON));
+    if (this.debug) {
+      console.log(Object.keys(this.templatesJSON.templates).length);
+      console.log(this.templatesJSON);
+      console.log(this.templatesArray);
+      console.log(JSON.stringify(this.templatesJSON));
+    }
 
     // Invalidate merged tile cache because template set changed
     this.cacheVersion++;
     this.mergedTileCache.clear();
 
     await this.#storeTemplates();
+    await this.#recordHistory(`Create "${template.displayName}"`, { [template.idKey]: null }, this.#snapshotTemplates([template.idKey]));
+
+    return template;
+  }
+
+  /** Maps an image to the palette the same way a new template would be, without creating the template.
+   * @param {Blob} blob - The image
+   * @param {Array<number>|null} [coords=null] - The coordinates the template would be placed at, which line up ordered dithering
+   * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray, pixelCount: number}>} The palette-mapped pixels, and the number of colored pixels
+   * @since 0.83.0
+   */
+  async createTemplatePreview(blob, coords = null) {
+    const template = new Template({
+      file: blob,
+      coords: coords,
+      tileSize: this.tileSize,
+      colorMetric: this.colorMetric,
+      dither: this.dither,
+      enabledColors: this.enabledColors,
+    });
+    return template.createPreview();
+  }
+
+  /** Cancels the template that is being created, if any.
+   * @returns {boolean} True if a template creation was cancelled
+   * @since 0.83.0
+   */
+  cancelTemplateCreation() {
+    if (!this.templateCreation) {return false;}
+    this.templateCreation.abort();
+    return true;
+  }
+
+  /** Stores every variant set of the template tiles on the {@link Template} instance.
+   * Both the original and auto-colored versions are kept for instant swapping without reprocessing.
+   * Tiles are added to the ones already loaded, since tiles are loaded as they are needed.
+   * @param {Template} template - The template to store the tiles on
+   * @param {Object} templateTileSets - The tiles returned by {@link Template#createTemplateTiles} or {@link Template#loadTemplateTiles}
+   * @since 0.83.0
+   */
+  #applyTemplateTiles(template, templateTileSets) {
+    const { templateTiles, templateTilesAuto, templateTilesFull, templateTilesAutoFull, colorIndexTiles, tileCounts } = templateTileSets;
+    Object.assign(template.colorIndexTiles, colorIndexTiles); // Only loaded tiles return these. Created tiles are indexed by the template itself
+    Object.assign(template.tileCounts, tileCounts);
+    template.chunkedOriginal = Object.assign(template.chunkedOriginal || {}, templateTiles);
+    template.chunkedAuto = Object.assign(template.chunkedAuto || {}, templateTilesAuto);
+    template.chunkedOriginalFull = Object.assign(template.chunkedOriginalFull || {}, templateTilesFull); // Non-masked (solid) variants
+    template.chunkedAutoFull = Object.assign(template.chunkedAutoFull || {}, templateTilesAutoFull); // Non-masked (solid) variants
+    // Default active set honors live toggle first, falling back to creation-time autoColor
+    template.chunked = (this.autoColorLive || template.autoColor) ? template.chunkedAuto : template.chunkedOriginal;
+  }
+
+  /** Loads the tile images of a template that overlap a tile, if they are not loaded yet.
+   * Each tile region is only loaded once, even when the tile is requested again while it loads.
+   * @param {Template} template - The template to load the tiles of
+   * @param {string} tileCoords - The "TTTT,TTTT" tile coordinates
+   * @since 0.83.0
+   */
+  async #loadTemplateTilesInTile(template, tileCoords) {
+
+    const tileKeys = template.tileKeys.filter(tileKey => tileKey.startsWith(tileCoords) && !template.chunkedOriginal?.[tileKey]);
+
+    const tileLoads = template.tileLoads;
+
+    await Promise.all(tileKeys.map(tileKey => {
+      if (!tileLoads.has(tileKey)) {
+        tileLoads.set(tileKey, (async () => {
+          const tileBlob = await this.#readTemplateTile(template.idKey, tileKey);
+          if (!tileBlob) {throw new Error(`The image of tile ${tileKey} is missing.`);}
+          const templateTileSets = await template.loadTemplateTiles({ [tileKey]: tileBlob });
+          if (template.tileLoads !== tileLoads) {return;} // The tiles were unloaded while this one loaded, so it is outdated
+          this.#applyTemplateTiles(template, templateTileSets);
+
+          // The color counts change with the enabled colors. They are stored with the next change to the templates
+          const templateValue = this.templatesJSON?.templates?.[template.idKey];
+          if (templateValue) {templateValue.tileCounts = { ...templateValue.tileCounts, ...templateTileSets.tileCounts };}
+        })().catch(e => console.warn(`Failed to load a tile of template "${template.displayName}":`, e)));
+      }
+      return tileLoads.get(tileKey);
+    }));
+  }
+
+  /** Generates a {@link Template} class instance from the JSON object template.
+   * The instance is rebuilt to parity with one made by {@link TemplateManager#createTemplate}.
+   * The tile images are not loaded here. They are loaded when a tile they overlap is drawn.
+   * @param {string} templateKey - The key of the template in the JSON object (e.g. "0 $Z")
+   * @param {Object} templateValue - The template in the JSON object
+   * @returns {Promise<Template>} The loaded template
+   * @since 0.83.0
+   */
+  async #loadTemplate(templateKey, templateValue) {
+
+    const templateKeyArray = templateKey.split(' '); // E.g., "0 $Z" -> ["0", "$Z"]
+    const sortID = Number.isFinite(templateValue['sortID']) ? templateValue['sortID'] : Number(templateKeyArray?.[0]); // Sort ID of the template. Reordered templates store it, since the key can not change
+    const authorID = templateKeyArray?.[1] || '0'; // User ID of the person who exported the template
+    const displayName = templateValue.name || `Template ${sortID || ''}`; // Display name of the template
+    const coords = templateValue?.coords?.split(',').map(Number); // "1, 2, 3, 4" -> [1, 2, 3, 4]
+
+    const template = new Template({
+      displayName: displayName,
+      sortID: Number.isFinite(sortID) ? sortID : (this.templatesArray?.length || 0),
+      authorID: authorID || '',
+      coords: (coords?.length === 4 && coords.every(Number.isFinite)) ? coords : null,
+      tileSize: this.tileSize,
+      enabled: (templateValue.enabled !== false),
+      colorMetric: templateValue.colorMetric || 'rgb', // Templates stored before metrics were selectable used RGB
+      dither: templateValue.dither || 'none',
+      enabledColors: this.enabledColors,
+      style: this.#normalizeTemplateStyle(templateValue['style']),
+      idKey: templateKey,
+    });
+
+    template.tileKeys = templateValue.tileKeys || Object.keys(templateValue['tiles'] || {});
+    template.pixelCount = Number(templateValue.pixelCount) || 0;
+    template.width = Number(templateValue.width) || 0;
+    template.height = Number(templateValue.height) || 0;
+    template.tileCounts = { ...templateValue.tileCounts };
+
+    return template;
+  }
+
+  /** Stores the tile images of a template in IndexedDB.
+   * If IndexedDB is unavailable, the tile images are inlined as base 64 in the JSON object instead.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @param {Object} templateValue - The template in the JSON object. Its "tiles" are removed, or replaced when inlined
+   * @param {Object<string, Blob>} tileBlobs - The PNG of each tile region, keyed by "TTTT,TTTT,PPP,PPP"
+   * @returns {Promise<boolean>} True if the tile images were stored in IndexedDB
+   * @since 0.83.0
+   */
+  async #storeTemplateTiles(idKey, templateValue, tileBlobs) {
+
+    // While the stored templates could not be loaded, their tiles in IndexedDB must not be overwritten either
+    if (!this.templatesStorageBlocked) {
+      this.tileWrites++;
+      try {
+        for (const [tileKey, tileBlob] of Object.entries(tileBlobs)) {
+          await this.templateStorage.putTile(TemplateManager.#getTileStorageKey(idKey, templateValue), tileKey, tileBlob);
+        }
+        delete templateValue['tiles'];
+        return true;
+      } catch (e) {
+        console.warn('Template tiles could not be stored in IndexedDB, so they are stored with the templates instead:', e);
+      } finally {
+        this.tileWrites--;
+      }
+    }
+
+    templateValue['tiles'] = {};
+    for (const [tileKey, tileBlob] of Object.entries(tileBlobs)) {
+      templateValue['tiles'][tileKey] = uint8ToBase64(new Uint8Array(await tileBlob.arrayBuffer()));
+    }
+    return false;
+  }
+
+  /** Retrieves the image of one template tile, from the JSON object if it is inlined there, or from IndexedDB.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @param {string} tileKey - The "TTTT,TTTT,PPP,PPP" key of the tile region
+   * @returns {Promise<Blob|null>} The tile image, or null if it is not stored
+   * @since 0.83.0
+   */
+  async #readTemplateTile(idKey, tileKey) {
+    const templateValue = this.templatesJSON?.templates?.[idKey];
+    const encodedTile = templateValue?.['tiles']?.[tileKey];
+    if (encodedTile) {return TemplateManager.#base64ToBlob(encodedTile);}
+    return this.templateStorage.getTile(TemplateManager.#getTileStorageKey(idKey, templateValue), tileKey);
   }
 
-  /** Generates a {@link Template} class instance from the JSON object template
+  /** Returns the key the tile images of a template are stored under in IndexedDB.
+   * Every time a template is tiled again, its tile images are stored under a new key, so the old ones stay intact.
+   * Templates that were never tiled again use their own key, like before tile generations existed.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @param {Object} templateValue - The template in the JSON object
+   * @returns {string} The key in IndexedDB (e.g. "0 $Z" or "0 $Z #2")
+   * @since 0.83.0
    */
-  #loadTemplate() {
+  static #getTileStorageKey(idKey, templateValue) {
+    return templateValue?.tileGeneration ? `${idKey} #${templateValue.tileGeneration}` : idKey;
+  }
+
+  /** Retrieves every tile image of a template as base 64, for exporting.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @returns {Promise<Object<string, string>>} The base 64 encoded PNG of each stored tile region
+   * @since 0.83.0
+   */
+  async #readTemplateTilesBase64(idKey) {
+    const tiles = {};
+    for (const tileKey of this.templatesJSON?.templates?.[idKey]?.tileKeys || []) {
+      const tileBlob = await this.#readTemplateTile(idKey, tileKey);
+      if (tileBlob) {tiles[tileKey] = uint8ToBase64(new Uint8Array(await tileBlob.arrayBuffer()));}
+    }
+    return tiles;
+  }
+
+  /** Converts a base 64 encoded PNG to a Blob.
+   * @param {string} encodedTile - The base 64 encoded PNG
+   * @returns {Blob} The PNG as a Blob
+   * @since 0.83.0
+   */
+  static #base64ToBlob(encodedTile) {
+    return new Blob([base64ToUint8(encodedTile)], { type: 'image/png' });
+  }
+
+  /** Counts the colored pixels of a template from its tile images, per tile region and per color.
+   * The colors are mapped the same way the template is drawn. Also checks that every tile image can be decoded.
+   * @param {Object} templateValue - The template in the JSON object. Its "tileCounts" and "pixelCount" are replaced
+   * @param {Object<string, Blob>} tileBlobs - The PNG of each tile region, keyed by "TTTT,TTTT,PPP,PPP"
+   * @throws {Error} If a tile image can not be decoded
+   * @since 0.83.0
+   */
+  async #countTemplatePixels(templateValue, tileBlobs) {
+
+    const template = new Template({
+      tileSize: this.tileSize,
+      colorMetric: templateValue.colorMetric || 'rgb',
+      dither: templateValue.dither || 'none',
+      enabledColors: this.enabledColors,
+    });
+
+    templateValue.tileCounts = await template.countTilePixels(tileBlobs);
+    templateValue.pixelCount = Object.values(templateValue.tileCounts).reduce((sum, counts) => sum + counts["pixels"], 0);
+  }
+
+  /** Moves the tile images inlined in the JSON object (e.g. by older versions) to IndexedDB.
+   * @param {Object} json - The JSON object. It is modified in place
+   * @returns {Promise<boolean>} True if any template was moved, so the JSON object should be stored again
+   * @since 0.83.0
+   */
+  async #moveInlineTilesToStorage(json) {
+
+    let moved = false;
+
+    for (const [idKey, templateValue] of Object.entries(json.templates)) {
+
+      if (!templateValue?.['tiles']) {continue;} // Already stored in IndexedDB
+
+      const tileBlobs = {};
+      for (const [tileKey, encodedTile] of Object.entries(templateValue['tiles'])) {
+        tileBlobs[tileKey] = TemplateManager.#base64ToBlob(encodedTile);
+      }
+
+      try {
+        if (!templateValue.tileCounts) {await this.#countTemplatePixels(templateValue, tileBlobs);}
+      } catch (e) {
+        console.warn(`The tiles of template "${templateValue.name}" could not be read:`, e);
+        continue; // Leaves the tiles where they are
+      }
+
+      if (!(await this.#storeTemplateTiles(idKey, templateValue, tileBlobs))) {break;} // IndexedDB is unavailable
+      moved = true;
+    }
 
+    return moved;
   }
 
   /** Stores the JSON object of the loaded templates into TamperMonkey (GreaseMonkey) storage.
    * @since 0.72.7
    */
   async #storeTemplates() {
+    if (this.templatesStorageBlocked) {
+      this.overlay?.handleDisplayError?.('Templates were not saved, because the stored templates could not be loaded.');
+      return;
+    }
     // Ensure the write completes before proceeding (prevents data loss on fast reloads)
     await GM.setValue('bmTemplates', JSON.stringify(this.templatesJSON));
   }
@@ -258,8 +666,11 @@ export default class TemplateManager {
    */
   async drawTemplateOnTile(tileBlob, tileCoords) {
 
+    // The ghost of a template that is being placed is drawn even when templates are hidden
+    const placementRect = this.#getPlacementRect(tileCoords);
+
     // Returns early if no templates should be drawn
-    if (!this.templatesShouldBeDrawn) {return tileBlob;}
+    if (!this.templatesShouldBeDrawn && !placementRect) {return tileBlob;}
 
     const drawSize = this.tileSize * this.drawMult; // Calculate draw multiplier for scaling
 
@@ -267,31 +678,46 @@ export default class TemplateManager {
     tileCoords = tileCoords[0].toString().padStart(4, '0') + ',' + tileCoords[1].toString().padStart(4, '0');
 
     // Fast path: nothing to draw if there are no templates at all
-    if (!this.templatesArray || this.templatesArray.length === 0) {return tileBlob;}
+    if ((!this.templatesArray || this.templatesArray.length === 0) && !placementRect) {return tileBlob;}
 
     // Update zoom state best-effort (in case no events were received yet)
     this.#updateZoomState();
 
-    // Check cache for merged output of this tile and mode (auto/original) and zoom mode (full/mask)
-    const zoomKey = this.isZoomedOut ? 'full' : 'mask';
-    const cacheKey = `${tileCoords}|${this.autoColorLive ? 'auto' : 'orig'}|${zoomKey}|v${this.cacheVersion}`;
-    const cached = this.mergedTileCache.get(cacheKey);
-    if (cached) { return cached; }
-
     if (this.debug) {console.log(`Searching for templates in tile: "${tileCoords}"`);}    
 
-    const templateArray = this.templatesArray.filter(t => t?.enabled); // Only enabled templates
+    const templateArray = this.templatesShouldBeDrawn ? this.templatesArray.filter(t => t?.enabled) : []; // Only enabled templates
     if (this.debug) {console.log(templateArray);}    
 
     // Sorts the array of Template class instances. 0 = first = lowest draw priority
     templateArray.sort((a, b) => {return a.sortID - b.sortID;});
 
-    console.log(templateArray);
+    // Returns early if no enabled template overlaps this tile
+    const templatesInTile = templateArray.filter(template => template.tileKeys.some(tile => tile.startsWith(tileCoords)));
+    if (templatesInTile.length === 0 && !placementRect) {return tileBlob;}
+
+    // Loads the tile images of the templates in this tile, if they are not loaded yet
+    await Promise.all(templatesInTile.map(template => this.#loadTemplateTilesInTile(template, tileCoords)));
+
+    const tileBitmap = await createImageBitmap(tileBlob);
+
+    // Compares the live tile against the templates before any cached overlay is returned, so progress is always current
+    this.#updateTemplateProgress(tileBitmap, tileCoords, templatesInTile);
+
+    // Determine zoom state robustly per-frame (fallback to CSS scale if no events)
+    const sEff = this.#getCanvasScale();
+    const zEff = (typeof sEff === 'number') ? Math.log2(Math.max(1e-6, sEff)) : this.zoomLevel;
+    const localIsZoomedOut = (typeof zEff === 'number' && !Number.isNaN(zEff)) ? (zEff <= this.zoomOutThreshold) : this.isZoomedOut;
+
+    // Check cache for merged output of this tile and mode (auto/original) and zoom mode (full/mask)
+    const zoomKey = localIsZoomedOut ? 'full' : 'mask'; // Templates can have a different opacity in each zoom mode
+    const cacheKey = `${tileCoords}|${this.autoColorLive ? 'auto' : 'orig'}|${zoomKey}|c${this.colorFilter ?? 'all'}|v${this.cacheVersion}`;
+    const cached = this.mergedTileCache.get(cacheKey);
+    if (cached && this.renderMode !== 'errors') { return cached; } // Error marks depend on the live tile, so they are never reused
 
     // Retrieves the relavent template tile blobs
     const templatesToDraw = templateArray
       .map(template => {
-        const matchingTiles = Object.keys(template.chunked).filter(tile =>
+        const matchingTiles = Object.keys(template.chunked || {}).filter(tile =>
           tile.startsWith(tileCoords)
         );
 
@@ -314,6 +740,8 @@ export default class TemplateManager {
           // Opacity is still controlled by zoom mode (e.g., 40% when zoomed-out, 100% when zoomed-in).
           return {
             bitmap: sourceMap[tile],
+            template: template,
+            tileKey: tile,
             tileCoords: [coords[0], coords[1]],
             pixelCoords: [coords[2], coords[3]]
           }
@@ -325,20 +753,21 @@ export default class TemplateManager {
 
     if (this.debug) {console.log(templatesToDraw);}    
     // If there are no matching overlays for this tile, return original blob immediately
-    if (!templatesToDraw || templatesToDraw.length === 0) { return tileBlob; }
+    if ((!templatesToDraw || templatesToDraw.length === 0) && !placementRect) { return tileBlob; }
     // Throttle expensive status updates to avoid UI bottlenecks
     const now = Date.now();
-    if (now - this.statusLastUpdate >= this.statusUpdateIntervalMs) {
+    if (templatesToDraw.length > 0 && now - this.statusLastUpdate >= this.statusUpdateIntervalMs) {
       const templateCount = templatesToDraw?.length || 0; // Number of templates to draw on this tile
       if (this.debug) {console.log(`templateCount = ${templateCount}`);}      
       if (templateCount > 0) {
-        // Calculate total pixel count for templates actively being displayed in this tile
-        const totalPixels = templateArray
-          .filter(template => Object.keys(template.chunked).some(tile => tile.startsWith(tileCoords)))
-          .reduce((sum, template) => sum + (template.pixelCount || 0), 0);
-        const pixelCountFormatted = new Intl.NumberFormat().format(totalPixels);
+        // Calculate total pixel count for templates actively being displayed in this tile, and how many of those pixels are in this tile
+        const totalPixels = templatesInTile.reduce((sum, template) => sum + (template.pixelCount || 0), 0);
+        const tilePixels = templatesInTile.reduce((sum, template) => sum + Object.entries(template.tileCounts || {})
+          .filter(([tileKey]) => tileKey.startsWith(tileCoords))
+          .reduce((tileSum, [, counts]) => tileSum + (counts?.["pixels"] || 0), 0), 0);
+        const format = new Intl.NumberFormat();
         this.overlay.handleDisplayStatus(
-          `Displaying ${templateCount} template${templateCount == 1 ? '' : 's'}.\nTotal pixels: ${pixelCountFormatted}`
+          `Displaying ${templateCount} template${templateCount == 1 ? '' : 's'}.\nTotal pixels: ${format.format(totalPixels)}\nIn this tile: ${format.format(tilePixels)}`
         );
       } else {
         this.overlay.handleDisplayStatus(`Displaying ${templateCount} templates.`);
@@ -346,8 +775,6 @@ export default class TemplateManager {
       this.statusLastUpdate = now;
     }
     
-    const tileBitmap = await createImageBitmap(tileBlob);
-
     const canvas = new OffscreenCanvas(drawSize, drawSize);
     const context = canvas.getContext('2d');
 
@@ -361,36 +788,274 @@ export default class TemplateManager {
     context.clearRect(0, 0, drawSize, drawSize); // Draws transparent background
     context.drawImage(tileBitmap, 0, 0, drawSize, drawSize);
 
-    // Determine zoom state robustly per-frame (fallback to CSS scale if no events)
-    const sEff = this.#getCanvasScale();
-    const zEff = (typeof sEff === 'number') ? Math.log2(Math.max(1e-6, sEff)) : this.zoomLevel;
-    const localIsZoomedOut = (typeof zEff === 'number' && !Number.isNaN(zEff)) ? (zEff <= this.zoomOutThreshold) : this.isZoomedOut;
+    // When only showing errors, swap each bitmap for the error marks of the live tile
+    if (this.renderMode === 'errors') {
+      for (const template of templatesToDraw) {
+        template.bitmap = await this.#getErrorBitmap(template.template, template.tileKey, this.colorFilter);
+      }
+    } else if (this.colorFilter) {
+      // When filtering by color, swap each bitmap for one that only contains that color
+      for (const template of templatesToDraw) {
+        template.bitmap = await this.#getColorFilteredBitmap(template.template, template.tileKey, this.colorFilter);
+      }
+    }
 
     // For each template in this tile, draw them.
     for (const template of templatesToDraw) {
+      if (!template.bitmap) {continue;} // Nothing of the filtered color in this template tile
       if (this.debug) {console.log(`Template:`); console.log(template);}      
 
+      // Each template has its own opacity for each zoom mode (by default 40% when zoomed out, 100% for the small squares when zoomed in)
+      const style = this.getTemplateStyle(template.template);
+      const opacity = localIsZoomedOut ? style['opacityZoomedOut'] : style['opacityZoomedIn'];
+      if (opacity <= 0) {continue;} // Hidden in this zoom mode
+
+      // Error marks keep their colors, so wrong pixels stay red
+      const bitmap = (style['tint'] && this.renderMode !== 'errors') ? await this.#getTintedBitmap(template.template, template.bitmap, style['tint']) : template.bitmap;
+
       // Draw the template on the tile based on its relative position
-      if (localIsZoomedOut) {
-        context.save();
-        context.globalAlpha = this.zoomOpacity; // 40% opacity in zoomed-out mode
-        context.drawImage(template.bitmap, Number(template.pixelCoords[0]) * this.drawMult, Number(template.pixelCoords[1]) * this.drawMult);
-        context.restore();
-      } else {
-        // Force full opacity when drawing small squares (zoomed-in mode)
-        context.save();
-        context.globalAlpha = 1; // ensure 100% opacity in small-squares mode
-        context.drawImage(template.bitmap, Number(template.pixelCoords[0]) * this.drawMult, Number(template.pixelCoords[1]) * this.drawMult);
-        context.restore();
-      }
+      context.save();
+      context.globalAlpha = opacity;
+      context.globalCompositeOperation = style['blendMode'];
+      context.drawImage(bitmap, Number(template.pixelCoords[0]) * this.drawMult, Number(template.pixelCoords[1]) * this.drawMult);
+      context.restore();
     }
 
+    if (placementRect) {this.#drawPlacement(context, placementRect);}
+
     const outBlob = await canvas.convertToBlob({ type: 'image/png' });
     // Store in cache for instant reuse when revisiting the same tile/zoom
-    this.mergedTileCache.set(cacheKey, outBlob);
+    if (this.renderMode !== 'errors') {this.mergedTileCache.set(cacheKey, outBlob);}
     return outBlob;
   }
 
+  /** Shows the ghost of a template that is being placed, over every template.
+   * @param {{bitmap: ImageBitmap, width: number, height: number}|null} preview - The palette-mapped image of the template, or null to hide the ghost
+   * @param {Array<number>} [coords] - The coordinates of the top left corner as (tileX, tileY, pixelX, pixelY)
+   * @since 0.83.0
+   */
+  setPlacement(preview, coords) {
+    this.placement = preview ? { bitmap: preview.bitmap, width: preview.width, height: preview.height, coords: coords } : null;
+    this.cacheVersion++;
+    this.mergedTileCache.clear();
+  }
+
+  /** Finds where the ghost of the template that is being placed is on a tile.
+   * @param {Array<number>} tileCoords - The tile coordinates [x, y]
+   * @returns {{left: number, top: number, width: number, height: number}|null} The position of the ghost relative to the tile in pixels, or null if it is not on the tile
+   * @since 0.83.0
+   */
+  #getPlacementRect(tileCoords) {
+
+    if (!this.placement?.coords) {return null;}
+
+    const { width, height, coords } = this.placement;
+    const left = (coords[0] - Number(tileCoords[0])) * this.tileSize + coords[2];
+    const top = (coords[1] - Number(tileCoords[1])) * this.tileSize + coords[3];
+
+    if (left >= this.tileSize || top >= this.tileSize || left + width <= 0 || top + height <= 0) {return null;}
+    return { left, top, width, height };
+  }
+
+  /** Draws the ghost of the template that is being placed, with an outline so its edges are visible.
+   * @param {OffscreenCanvasRenderingContext2D} context - The context of the tile, scaled by the draw multiplier
+   * @param {{left: number, top: number, width: number, height: number}} rect - The position of the ghost relative to the tile
+   * @since 0.83.0
+   */
+  #drawPlacement(context, { left, top, width, height }) {
+    const drawMult = this.drawMult;
+    context.save();
+    context.imageSmoothingEnabled = false; // Every pixel stays a sharp square
+    context.globalAlpha = this.placementOpacity;
+    context.drawImage(this.placement.bitmap, left * drawMult, top * drawMult, width * drawMult, height * drawMult);
+    context.globalAlpha = 1;
+    context.strokeStyle = '#ff00ff';
+    context.lineWidth = 1;
+    context.strokeRect(left * drawMult + 0.5, top * drawMult + 0.5, width * drawMult - 1, height * drawMult - 1);
+    context.restore();
+  }
+
+  /** Compares the live pixels of a tile against every template that overlaps it.
+   * The comparison is stored on each {@link Template}, and the UI is notified (throttled) afterwards.
+   * @param {ImageBitmap} tileBitmap - The live tile, as served by the website
+   * @param {string} tileCoords - The "TTTT,TTTT" tile coordinates
+   * @param {Array<Template>} templates - The templates that overlap this tile
+   * @since 0.83.0
+   */
+  #updateTemplateProgress(tileBitmap, tileCoords, templates) {
+    try {
+      const canvas = new OffscreenCanvas(tileBitmap.width, tileBitmap.height);
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(tileBitmap, 0, 0);
+      const tilePixels = context.getImageData(0, 0, tileBitmap.width, tileBitmap.height).data;
+
+      for (const template of templates) {
+        for (const tileKey of Object.keys(template.chunked || {})) {
+          if (!tileKey.startsWith(tileCoords)) {continue;}
+          template.updateTileProgress(tileKey, tilePixels, tileBitmap.width);
+        }
+      }
+    } catch (e) { if (this.debug) { console.warn('[BM] Progress: tile comparison failed', tileCoords, e); } return; }
+
+    // Throttle UI updates, since many tiles arrive at once when the map moves
+    const now = Date.now();
+    if (now - this.progressLastUpdate >= this.statusUpdateIntervalMs) {
+      this.progressLastUpdate = now;
+      try { this.onProgressUpdate?.(); } catch (_) { /* UI errors should not break tile rendering */ }
+    }
+  }
+
+  /** Renders a template tile region that only contains the pixels of one palette color.
+   * The result uses the same small-squares style as the regular template bitmaps, and is cached on the template.
+   * @param {Template} template - The template that owns the tile region
+   * @param {string} tileKey - The "TTTT,TTTT,PPP,PPP" key of the tile region
+   * @param {number} colorIndex - The palette index to keep
+   * @returns {Promise<ImageBitmap|null>} The filtered bitmap, or null if the color does not appear in this tile region
+   * @since 0.83.0
+   */
+  async #getColorFilteredBitmap(template, tileKey, colorIndex) {
+
+    if (!template.colorFilteredTiles) {template.colorFilteredTiles = new Map();}
+    const cacheKey = `${tileKey}|${colorIndex}`;
+    if (template.colorFilteredTiles.has(cacheKey)) {return template.colorFilteredTiles.get(cacheKey);}
+
+    const { w, h, data } = template.colorIndexTiles?.[tileKey] || {};
+    const rgb = colorpalette[colorIndex]?.rgb;
+    if (!w || !h || !data || !rgb) {return null;}
+
+    const drawMult = this.drawMult;
+    const mid = Math.floor(drawMult / 2);
+    const width = w * drawMult;
+    const pixels = new Uint8ClampedArray(width * h * drawMult * 4);
+    let matches = 0;
+
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        if (data[y * w + x] !== colorIndex) {continue;}
+        const p = ((y * drawMult + mid) * width + (x * drawMult + mid)) * 4; // Center pixel of the enlarged square
+        pixels[p] = rgb[0]; pixels[p + 1] = rgb[1]; pixels[p + 2] = rgb[2]; pixels[p + 3] = 255;
+        matches++;
+      }
+    }
+
+    const bitmap = matches ? await createImageBitmap(new ImageData(pixels, width, h * drawMult)) : null;
+    template.colorFilteredTiles.set(cacheKey, bitmap);
+    return bitmap;
+  }
+
+  /** Tints a template bitmap with one color, keeping the lightness of every pixel, so overlapping templates can be told apart.
+   * The tinted bitmap is cached for as long as the bitmap it was made from is used.
+   * @param {Template} template - The template that owns the bitmap
+   * @param {ImageBitmap} bitmap - The bitmap to tint
+   * @param {string} tint - The tint color as "#rrggbb"
+   * @returns {Promise<ImageBitmap>} The tinted bitmap
+   * @since 0.83.0
+   */
+  async #getTintedBitmap(template, bitmap, tint) {
+
+    if (!template.tintedTiles) {template.tintedTiles = new WeakMap();}
+    const cached = template.tintedTiles.get(bitmap);
+    if (cached?.tint === tint) {return cached.bitmap;}
+
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0);
+    context.globalCompositeOperation = 'color'; // Hue and saturation of the tint, lightness of the template
+    context.fillStyle = tint;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.globalCompositeOperation = 'destination-in'; // Restores the transparent pixels of the template
+    context.drawImage(bitmap, 0, 0);
+
+    const tinted = await createImageBitmap(canvas);
+    template.tintedTiles.set(bitmap, { tint, bitmap: tinted });
+    return tinted;
+  }
+
+  /** Renders the error marks of a template tile region from its latest comparison against the live tile.
+   * Wrong pixels get a red outline around the expected color. Unplaced pixels get a faint dot of the expected color.
+   * @param {Template} template - The template that owns the tile region
+   * @param {string} tileKey - The "TTTT,TTTT,PPP,PPP" key of the tile region
+   * @param {number|null} [colorIndex=null] - When set, only pixels that should be this palette index are marked
+   * @returns {Promise<ImageBitmap|null>} The error marks, or null if there is nothing to mark
+   * @since 0.83.0
+   */
+  async #getErrorBitmap(template, tileKey, colorIndex = null) {
+
+    const { w, h, data } = template.colorIndexTiles?.[tileKey] || {};
+    const status = template.tileProgress?.[tileKey]?.status;
+    if (!w || !h || !data || !status) {return null;}
+
+    const drawMult = this.drawMult;
+    const mid = Math.floor(drawMult / 2);
+    const width = w * drawMult;
+    const pixels = new Uint8ClampedArray(width * h * drawMult * 4);
+    let marks = 0;
+
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+
+        const pixelStatus = status[y * w + x];
+        if (pixelStatus < 2) {continue;} // Not part of the template, or already correct
+
+        const index = data[y * w + x];
+        if (colorIndex && index !== colorIndex) {continue;}
+        const rgb = colorpalette[index]?.rgb || [0, 0, 0];
+
+        // Paints every pixel of the enlarged square: the center shows the expected color, the border flags wrong pixels
+        for (let dy = 0; dy < drawMult; dy++) {
+          for (let dx = 0; dx < drawMult; dx++) {
+            const p = ((y * drawMult + dy) * width + (x * drawMult + dx)) * 4;
+            if (dx === mid && dy === mid) {
+              pixels[p] = rgb[0]; pixels[p + 1] = rgb[1]; pixels[p + 2] = rgb[2];
+              pixels[p + 3] = (pixelStatus === 2) ? 255 : 128; // Faint dot for unplaced pixels
+            } else if (pixelStatus === 2) {
+              pixels[p] = 255; pixels[p + 1] = 0; pixels[p + 2] = 0; pixels[p + 3] = 255; // Red outline for wrong pixels
+            }
+          }
+        }
+        marks++;
+      }
+    }
+
+    return marks ? await createImageBitmap(new ImageData(pixels, width, h * drawMult)) : null;
+  }
+
+  /** Sets how templates are drawn on tiles.
+   * @param {'full'|'errors'} mode - 'full' draws the whole template, 'errors' only marks wrong and unplaced pixels
+   * @since 0.83.0
+   */
+  setRenderMode(mode) {
+    this.renderMode = (mode === 'errors') ? 'errors' : 'full';
+    this.cacheVersion++;
+    this.mergedTileCache.clear();
+  }
+
+  /** Sets the palette color the overlay is filtered to.
+   * @param {number|null} colorIndex - The palette index to exclusively draw, or null to draw every color
+   * @since 0.83.0
+   */
+  setColorFilter(colorIndex) {
+    this.colorFilter = colorIndex > 0 ? colorIndex : null;
+    this.cacheVersion++;
+    this.mergedTileCache.clear();
+  }
+
+  /** Returns how many pixels of each palette color are still missing or wrong in a template.
+   * @param {string} idKey - The key of the template
+   * @returns {Array<{index: number, name: string, rgb: number[], count: number, total: number}>} Palette colors with remaining pixels, sorted by count (highest first). `total` is every pixel of that color in the template
+   * @since 0.83.0
+   */
+  getTemplateColorBreakdown(idKey) {
+    const template = (this.templatesArray || []).find(x => (x?.idKey || `${x?.sortID} ${x?.authorID}`) === idKey);
+    const totals = new Map((template?.getColorCounts?.() || []).map(color => [color.index, color.count]));
+    return (template?.getRemainingByColor?.() || []).map(color => ({
+      ...color,
+      total: totals.get(color.index) || 0,
+      name: colorpalette[color.index]?.name || `Color ${color.index}`,
+      rgb: colorpalette[color.index]?.rgb || [0, 0, 0],
+    }));
+  }
+
   /** Update internal zoom state using event details or computed canvas transform */
   #updateZoomState(event) {
     try {
@@ -443,6 +1108,85 @@ export default class TemplateManager {
     } catch (_) { return null; }
   }
 
+  /** Sets the color-distance metric used to map the colors of new templates to the palette.
+   * Existing templates keep the metric they were created with.
+   * @param {string} metric - The key of the metric (see {@link paletteMatching})
+   * @since 0.83.0
+   */
+  setColorMetric(metric) {
+    this.colorMetric = metric;
+  }
+
+  /** Sets the dithering mode used to map the colors of new templates to the palette.
+   * Existing templates keep the mode they were created with.
+   * @param {string} mode - The key of the dithering mode (see {@link paletteMatching})
+   * @since 0.83.0
+   */
+  setDither(mode) {
+    this.dither = mode;
+  }
+
+  /** Sets the palette colors templates are mapped to, since not every color can be placed by every user.
+   * Unlike the color metric and dithering mode, this applies to every template.
+   * The loaded tiles of every template are dropped, so they are mapped again when they are next drawn.
+   * @param {Array<number>|null} colorIndices - The palette indices that can be placed, or null if every color can be placed
+   * @since 0.83.0
+   */
+  setEnabledColors(colorIndices) {
+
+    const enabledColors = colorIndices
+      ? [...new Set(colorIndices.map(Number))].filter(index => index > 0 && index < colorpalette.length).sort((a, b) => a - b)
+      : null;
+
+    // Every color (or none, which can not be mapped to) is the same as no subset
+    const nextColors = (!enabledColors?.length || enabledColors.length === colorpalette.length - 1) ? null : enabledColors;
+    if (String(nextColors) === String(this.enabledColors)) {return;}
+    this.enabledColors = nextColors;
+
+    for (const template of this.templatesArray) {
+      template.enabledColors = nextColors;
+      this.#unloadTemplateTiles(template);
+    }
+
+    this.cacheVersion++;
+    this.mergedTileCache.clear();
+  }
+
+  /** Drops every loaded tile of a template, along with everything derived from them.
+   * The tiles are loaded again from storage when they are next drawn.
+   * @param {Template} template - The template to unload the tiles of
+   * @since 0.83.0
+   */
+  #unloadTemplateTiles(template) {
+    template.chunked = null;
+    template.chunkedOriginal = null;
+    template.chunkedAuto = null;
+    template.chunkedOriginalFull = null;
+    template.chunkedAutoFull = null;
+    template.colorIndexTiles = {};
+    template.colorFilteredTiles = null;
+    template.tileProgress = {};
+    template.tileLoads = new Map();
+  }
+
+  /** Reads which palette colors the user can place from the palette of the website.
+   * Colors that are locked are disabled or show a lock icon on the website.
+   * @returns {Array<number>|null} The palette indices that can be placed, or null if the palette is not open
+   * @since 0.83.0
+   */
+  readSitePaletteColors() {
+
+    const colorElements = [...document.querySelectorAll('[id^="color-"]')]
+      .map(element => ({ element, index: Number(element.id.slice('color-'.length)) }))
+      .filter(({ index }) => Number.isInteger(index) && index > 0 && index < colorpalette.length);
+
+    if (colorElements.length === 0) {return null;} // The palette is not open
+
+    return colorElements
+      .filter(({ element }) => !element.disabled && element.getAttribute('aria-disabled') !== 'true' && !element.querySelector('svg'))
+      .map(({ index }) => index);
+  }
+
   /** Sets the live auto-color toggle
    * @param {boolean} value
    */
@@ -497,26 +1241,11 @@ export default class TemplateManager {
 
     // Iterate from topmost (highest sortID) to lowest so we pick the visible pixel
     for (let i = enabled.length - 1; i >= 0; i--) {
-      const tpl = enabled[i];
-      // Ensure colorIndexTiles container exists for lazy computation
-      if (!tpl.colorIndexTiles) tpl.colorIndexTiles = {};
-      const idxTiles = tpl.colorIndexTiles;
+      const idxTiles = enabled[i].colorIndexTiles || {}; // Index maps are built whenever a tile region is loaded
 
       // Find the tile region within this template that covers the given pixel
       // Keys look like: "TTTT,TTTT,PPP,PPP" where the last two are the region's top-left px offset within the tile
-      const keys = Object.keys(idxTiles).filter(k => k.startsWith(tilePrefix));
-      // If no precomputed keys found, attempt to compute from bitmaps for this tile prefix
-      if (keys.length === 0 && tpl?.chunked) {
-        for (const key of Object.keys(tpl.chunked)) {
-          if (key.startsWith(tilePrefix)) {
-            // Lazily compute and cache index map for this tile region
-            this.#ensureIndexMapForTemplateTile(tpl, key);
-          }
-        }
-      }
-      const keys2 = Object.keys(idxTiles).filter(k => k.startsWith(tilePrefix));
-      const searchKeys = keys2.length ? keys2 : keys; // Prefer updated list
-      for (const key of searchKeys) {
+      for (const key of Object.keys(idxTiles).filter(k => k.startsWith(tilePrefix))) {
         const parts = key.split(',');
         const startX = Number(parts[2]);
         const startY = Number(parts[3]);
@@ -533,73 +1262,6 @@ export default class TemplateManager {
     return 0;
   }
 
-  /** Lazily compute nearest-palette index map for a template tile bitmap when not precomputed (e.g., imported JSON)
-   * Stores result in tpl.colorIndexTiles[key] = { w, h, data }
-   * @param {Template} tpl
-   * @param {string} key - "TTTT,TTTT,PPP,PPP"
-   */
-  #ensureIndexMapForTemplateTile(tpl, key) {
-    try {
-      if (!tpl || !key) return;
-      if (!tpl.colorIndexTiles) tpl.colorIndexTiles = {};
-      if (tpl.colorIndexTiles[key]) return; // already computed
-      const bmp = tpl?.chunked?.[key];
-      if (!bmp || !bmp.width || !bmp.height) return;
-
-      const drawMult = Math.max(1, Number(this.drawMult) || 1);
-      const w = Math.max(1, Math.round(bmp.width / drawMult));
-      const h = Math.max(1, Math.round(bmp.height / drawMult));
-      const mid = Math.floor(drawMult / 2);
-
-      // Create a canvas to read pixels from the bitmap
-      const canvas = (typeof OffscreenCanvas !== 'undefined') ? new OffscreenCanvas(bmp.width, bmp.height) : document.createElement('canvas');
-      canvas.width = bmp.width; canvas.height = bmp.height;
-      const ctx = canvas.getContext('2d');
-      if (!ctx) return;
-      ctx.clearRect(0, 0, bmp.width, bmp.height);
-      ctx.drawImage(bmp, 0, 0);
-      const img = ctx.getImageData(0, 0, bmp.width, bmp.height);
-      const data = img.data;
-      const idxMap = new Uint16Array(w * h);
-
-      // Local nearest-palette index using colorpalette
-      const nearestIdx = (r, g, b) => {
-        let bestI = 1; // default to 1 (Black) if unknown
-        let bestD = Infinity;
-        for (let i = 0; i < colorpalette.length; i++) {
-          const c = colorpalette[i];
-          if (!c || c.name === 'Transparent') continue;
-          const rgb = c.rgb || [];
-          if (rgb.length < 3) continue;
-          const dr = r - rgb[0]; const dg = g - rgb[1]; const db = b - rgb[2];
-          const d = dr*dr + dg*dg + db*db;
-          if (d < bestD) { bestD = d; bestI = i; }
-        }
-        return bestI;
-      };
-
-      for (let y = 0; y < h; y++) {
-        for (let x = 0; x < w; x++) {
-          const sx = x * drawMult + mid;
-          const sy = y * drawMult + mid;
-          const p = (sy * bmp.width + sx) * 4;
-          const a = data[p + 3] || 0;
-          if (a === 0) {
-            idxMap[y * w + x] = 0;
-          } else {
-            const r = data[p] | 0; const g = data[p + 1] | 0; const b = data[p + 2] | 0;
-            idxMap[y * w + x] = nearestIdx(r, g, b) || 0;
-          }
-        }
-      }
-
-      tpl.colorIndexTiles[key] = { w, h, data: idxMap };
-      if (this.debug) console.debug('[BM] AutoColor: lazily computed index map for', key, { w, h });
-    } catch (e) {
-      if (this.debug) console.warn('[BM] AutoColor: ensureIndexMapForTemplateTile failed', key, e);
-    }
-  }
-
   /** Select a palette color on the site by clicking the corresponding palette element
    * whose id convention is assumed to be `#color-<index>`.
    * @param {number} index - Index into the site's palette (1 = Black), 0 ignored.
@@ -697,90 +1359,543 @@ export default class TemplateManager {
     if (this.debug) console.warn('[BM] AutoColor: Could not locate palette element for index', index);
   }
 
-  /** Imports the JSON object, and appends it to any JSON object already loaded
-   * @param {string} json - The JSON string to parse
+  /** Creates a JSON object containing some (or all) of the loaded templates, for exporting to a file.
+   * The JSON object has the same structure as the one in TamperMonkey (GreaseMonkey) storage,
+   * except the tile images are inlined as base 64, so the file is complete on its own.
+   * @param {Array<string>|null} [idKeys=null] - The keys of the templates to export. Exports every template when null
+   * @returns {Promise<{ whoami: string, scriptVersion: string, schemaVersion: string, templates: Object }>} The JSON object
+   * @since 0.83.0
    */
-  async importJSON(json) {
+  async exportJSON(idKeys = null) {
 
-    console.log(`Importing JSON...`);
-    console.log(json);
+    const json = await this.createJSON();
 
-    // Accept templates matching legacy or dynamic whoami
-    const validWhoami = (json?.whoami === 'BlueMarble') || (json?.whoami === this.name.replace(' ', ''));
-    // If the passed in JSON is a Thanks to Brioche  template object...
-    if (validWhoami) {
-      // Store the original JSON so we can persist modifications
-      this.templatesJSON = json;
-      await this.#parseBlueMarble(json); // ...parse the template object as Thanks to Brioche 
+    for (const [idKey, templateValue] of Object.entries(this.templatesJSON?.templates || {})) {
+      if (idKeys && !idKeys.includes(idKey)) {continue;} // Not selected
+      json.templates[idKey] = { ...templateValue, "tiles": await this.#readTemplateTilesBase64(idKey) };
     }
+
+    return json;
   }
 
-  /** Parses the Thanks to Brioche  JSON object
-   * @param {string} json - The JSON string to parse
-   * @since 0.72.13
+  /** Merges the templates of a JSON object (e.g. from an imported file) into the loaded templates.
+   * Files of other template tools are converted by the importer of their format (see {@link templateImporters}).
+   * Templates whose key is already in use are given the lowest unused sort ID, so no template is overwritten.
+   * Templates that would exceed the memory budget are added hidden.
+   * @param {Object} json - The JSON object to merge, in the same structure as {@link TemplateManager#exportJSON}, or in the format of another template tool
+   * @param {Object} [options={}] - Where the JSON object came from
+   * @param {Object|null} [options.subscription=null] - When the JSON object was read from a URL, the "URL..." values to store with every added template
+   * @param {Array<File>} [options.files=[]] - Image files selected together with the JSON object, which it can refer to by file name
+   * @returns {Promise<{added: Array<string>, skipped: Array<{name: string, reason: string}>, hidden: Array<string>}>} The names of the added and skipped templates, and of the added templates that were hidden
+   * @throws {Error} If the JSON object is not in a known format
+   * @since 0.83.0
    */
-  async #parseBlueMarble(json) {
+  async mergeJSON(json, { subscription = null, files = [] } = {}) {
 
-    console.log(`Parsing BlueMarble...`);
+    const context = this.#getImporterContext();
+    const importer = findTemplateImporter(json, context);
+    if (!importer) {
+      throw new Error('This file is not a template file in a known format.');
+    }
 
-    const templates = json.templates;
+    return this.#mergeTemplates(importer.parse(json, context), { subscription, files });
+  }
 
-    console.log(`BlueMarble length: ${Object.keys(templates).length}`);
+  /** Merges converted templates into the loaded templates. See {@link TemplateManager#mergeJSON}.
+   * @param {{json: Object|null, images: Array<ImportedImage>, skipped: Array<{name: string, reason: string}>}} parsed - The templates, as returned by an importer
+   * @param {Object} options - Where the templates came from
+   * @param {Object|null} [options.subscription=null] - The "URL..." values to store with every added template
+   * @param {Array<File>} [options.files=[]] - Image files the images can refer to by file name
+   * @returns {Promise<{added: Array<string>, skipped: Array<{name: string, reason: string}>, hidden: Array<string>}>} The names of the added and skipped templates, and of the added templates that were hidden
+   * @since 0.83.0
+   */
+  async #mergeTemplates(parsed, { subscription = null, files = [] }) {
 
-    if (Object.keys(templates).length > 0) {
+    const added = [];
+    const skipped = [...(parsed.skipped || [])];
+    const hidden = [];
 
-      for (const template in templates) {
+    const json = parsed.json ? await this.#migrateJSON(parsed.json, { skipped }) : { templates: {} }; // Upgrades older files to the current schema
 
-        const templateKey = template;
-        const templateValue = templates[template];
-        console.log(templateKey);
+    // Creates the JSON object if it does not already exist
+    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON(); console.log(`Creating JSON...`);}
 
-        if (templates.hasOwnProperty(template)) {
+    for (const [importedKey, templateValue] of Object.entries(json.templates)) {
 
-          const templateKeyArray = templateKey.split(' '); // E.g., "0 $Z" -> ["0", "$Z"]
-          const sortID = Number(templateKeyArray?.[0]); // Sort ID of the template
-          const authorID = templateKeyArray?.[1] || '0'; // User ID of the person who exported the template
-          const displayName = templateValue.name || `Template ${sortID || ''}`; // Display name of the template
-          //const coords = templateValue?.coords?.split(',').map(Number); // "1,2,3,4" -> [1, 2, 3, 4]
-          const tilesbase64 = templateValue.tiles;
-          const templateTiles = {}; // Stores the template bitmap tiles for each tile.
-
-          for (const tile in tilesbase64) {
-            console.log(tile);
-            if (tilesbase64.hasOwnProperty(tile)) {
-              const encodedTemplateBase64 = tilesbase64[tile];
-              const templateUint8Array = base64ToUint8(encodedTemplateBase64); // Base 64 -> Uint8Array
-
-              const templateBlob = new Blob([templateUint8Array], { type: "image/png" }); // Uint8Array -> Blob
-              const templateBitmap = await createImageBitmap(templateBlob) // Blob -> Bitmap
-              templateTiles[tile] = templateBitmap;
-            }
-          }
+      const name = templateValue?.name || importedKey;
 
-          // Creates a new Template class instance
-          // Respect max templates
-          if (this.templatesArray.length >= this.maxTemplates) { continue; }
-
-          const templateObj = new Template({
-            displayName: displayName,
-            sortID: sortID || this.templatesArray?.length || 0,
-            authorID: authorID || '',
-            enabled: (templateValue.enabled !== false),
-            idKey: templateKey,
-          });
-          templateObj.chunked = templateTiles;
-          this.templatesArray.push(templateObj);
-          console.log(this.templatesArray);
-          console.log(`^^^ This ^^^`);
-        }
+      if (!templateValue?.['tiles'] || Object.keys(templateValue['tiles']).length === 0) {
+        skipped.push({ name, reason: 'no image data' }); continue;
       }
-    }
-  }
+      templateValue.tileKeys = Object.keys(templateValue['tiles']); // The inlined tiles are the complete set
 
-  /** Parses the OSU! Place JSON object
-   */
-  #parseOSU() {
+      // The same template at the same place is already loaded
+      let isDuplicate = false;
+      for (const [existingKey, existing] of Object.entries(this.templatesJSON.templates)) {
+        if (existing?.coords !== templateValue.coords) {continue;}
+        if (JSON.stringify(existing?.tileKeys) !== JSON.stringify(templateValue.tileKeys)) {continue;}
+        const existingTiles = await this.#readTemplateTilesBase64(existingKey);
+        if (JSON.stringify(existingTiles) === JSON.stringify(templateValue['tiles'])) {isDuplicate = true; break;}
+      }
+      if (isDuplicate) {skipped.push({ name, reason: 'already loaded' }); continue;}
+
+      // Keeps the imported key unless it collides with a loaded template
+      let idKey = importedKey;
+      if (this.templatesJSON.templates[idKey] || this.#getUsedSortIDs().has(Number(idKey.split(' ')[0]))) {
+        idKey = `${this.#getFreeSortID()} ${idKey.split(' ')[1] || '0'}`;
+      }
+      delete templateValue['sortID']; // The draw order of the exported file could collide with the loaded templates, so the key decides it
+      if (subscription) {Object.assign(templateValue, subscription, { "URLKey": importedKey });} // The key finds the template in the file again when it changes
+
+      try {
+        const tileBlobs = {};
+        for (const [tileKey, encodedTile] of Object.entries(templateValue['tiles'])) {
+          tileBlobs[tileKey] = TemplateManager.#base64ToBlob(encodedTile);
+        }
+        await this.#countTemplatePixels(templateValue, tileBlobs); // Imported counts are not trusted. Also checks that the tiles can be read
+        await this.#storeTemplateTiles(idKey, templateValue, tileBlobs);
+        this.templatesJSON.templates[idKey] = templateValue;
+        const template = await this.#loadTemplate(idKey, templateValue);
+
+        // Hidden templates do not load their tiles, so they do not count against the memory budget
+        if (template.enabled && this.#exceedsMemoryBudget(template)) {
+          template.enabled = false;
+          templateValue.enabled = false;
+          hidden.push(name);
+        }
+
+        this.templatesArray.push(template);
+        added.push(name);
+      } catch (e) {
+        console.warn(`Failed to import template "${name}":`, e);
+        skipped.push({ name, reason: 'image data could not be read' });
+      }
+    }
+
+    // Images are made into templates like uploaded images
+    for (const image of parsed.images || []) {
+      try {
+        const values = subscription ? { ...subscription, "URLKey": image.key } : {};
+        const template = await this.createTemplate(await this.#readImportedImage(image, { files, baseURL: subscription?.URL }), image.name, image.coords, this.autoColorLive, TemplateManager.#getImageFileName(image.source), { values });
+        if (!template) {skipped.push({ name: image.name, reason: 'cancelled' }); continue;}
+
+        const templateValue = this.templatesJSON.templates[template.idKey];
+
+        // The template is already shown, so it is hidden again if it went over the memory budget
+        if (!image.enabled || this.getMemoryUsage().used > this.memoryBudget) {
+          template.enabled = false;
+          templateValue.enabled = false;
+          this.#unloadTemplateTiles(template);
+          if (image.enabled) {hidden.push(image.name);}
+        }
+        added.push(image.name);
+      } catch (e) {
+        console.warn(`Failed to import template "${image.name}":`, e);
+        skipped.push({ name: image.name, reason: e?.message || 'the image could not be read' });
+      }
+    }
+
+    // Invalidate merged tile cache because template set changed
+    if (added.length) {
+      this.cacheVersion++;
+      this.mergedTileCache.clear();
+      await this.#storeTemplates();
+    }
+
+    return { added, skipped, hidden };
+  }
+
+  /** Subscribes to a template file or image at a URL.
+   * Template files are merged like imported files. Images are made into a template at the coordinates.
+   * The URL is checked for changes by {@link TemplateManager#refreshSubscriptions}.
+   * @param {string} url - The URL of the template file or image
+   * @param {Object} [options={}] - Needed for images
+   * @param {string} [options.name] - The display name of the template made from an image. Defaults to the file name in the URL
+   * @param {Array<number>|null} [options.coords=null] - The coordinates to place an image at
+   * @returns {Promise<{added: Array<string>, skipped: Array<{name: string, reason: string}>, hidden: Array<string>}>} The names of the added and skipped templates, like {@link TemplateManager#mergeJSON}
+   * @throws {Error} If the URL can not be read, or an image has no coordinates
+   * @since 0.83.0
+   */
+  async subscribeTemplate(url, { name, coords = null } = {}) {
+
+    if (Object.values(this.templatesJSON?.templates || {}).some(templateValue => templateValue?.URL === url)) {
+      throw new Error('You are already subscribed to this URL.');
+    }
+
+    const { bytes, contentType } = await this.fetchFile(url);
+    const now = new Date().toISOString();
+    const subscription = { "URL": url, "URLHash": await sha256Hex(bytes), "URLCheckedAt": now, "URLUpdatedAt": now };
+
+    if (TemplateManager.#isJSONFile(bytes, contentType)) {
+      return this.mergeJSON(JSON.parse(new TextDecoder().decode(bytes)), { subscription: { ...subscription, "URLType": "template" } });
+    }
+
+    if (!coords) {throw new Error('Images are placed at the coordinates. Fill them in first.');}
+    const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop() || '') || 'Template';
+    const template = await this.createTemplate(new Blob([bytes], { type: contentType || 'image/png' }), name || fileName.replace(/\.[^/.]+$/, ''), coords, this.autoColorLive, fileName, { values: { ...subscription, "URLType": "image" } });
+    if (!template) {return { added: [], skipped: [{ name: fileName, reason: 'cancelled' }], hidden: [] };}
+
+    return { added: [template.displayName], skipped: [], hidden: [] };
+  }
+
+  /** Checks the URLs templates are subscribed to, and updates the templates whose file or image changed.
+   * Changes are found by comparing the SHA-256 hash of the file. Changed images are tiled again at the same coordinates.
+   * Changed template files update the templates that came from them (found by their key in the file), and add new ones.
+   * Templates removed from the file are kept.
+   * Updates are added to the history like other changes. Undoing one also restores the old hash, so the update is made again at the next check.
+   * Only one check runs at a time. Checks started meanwhile wait for it instead.
+   * @param {Object} [options={}] - Which URLs to check
+   * @param {string|null} [options.url=null] - Only checks this URL
+   * @param {boolean} [options.force=false] - Checks the URLs even if they were checked within {@link TemplateManager#subscriptionInterval}
+   * @returns {Promise<{checked: Array<string>, updated: Array<string>, failed: Array<{url: string, reason: string}>}>} The URLs that were checked, changed, or could not be checked
+   * @since 0.83.0
+   */
+  async refreshSubscriptions({ url = null, force = false } = {}) {
+
+    if (this.subscriptionRefresh) {return this.subscriptionRefresh;}
+
+    this.subscriptionRefresh = (async () => {
+
+      const checked = [];
+      const updated = [];
+      const failed = [];
+
+      // The templates that came from each URL
+      const subscriptions = new Map();
+      for (const [idKey, templateValue] of Object.entries(this.templatesJSON?.templates || {})) {
+        if (!templateValue?.URL || (url && templateValue.URL !== url)) {continue;}
+        if (!subscriptions.has(templateValue.URL)) {subscriptions.set(templateValue.URL, []);}
+        subscriptions.get(templateValue.URL).push(idKey);
+      }
+
+      for (const [subscriptionURL, idKeys] of subscriptions) {
+
+        const templateValues = () => idKeys.map(idKey => this.templatesJSON.templates[idKey]).filter(Boolean); // Templates can be removed meanwhile
+        const lastChecked = Math.min(...templateValues().map(templateValue => Date.parse(templateValue.URLCheckedAt) || 0));
+        if (!force && (Date.now() - lastChecked < this.subscriptionInterval)) {continue;}
+
+        try {
+          const { bytes, contentType } = await this.fetchFile(subscriptionURL);
+          const hash = await sha256Hex(bytes);
+          const now = new Date().toISOString();
+          checked.push(subscriptionURL);
+
+          if (templateValues().some(templateValue => templateValue.URLHash !== hash)) {
+            await this.#updateSubscription(subscriptionURL, idKeys, bytes, contentType, { "URLHash": hash, "URLCheckedAt": now, "URLUpdatedAt": now });
+            for (const templateValue of templateValues()) {Object.assign(templateValue, { "URLHash": hash, "URLUpdatedAt": now });} // Including templates removed from the file
+            updated.push(subscriptionURL);
+          }
+
+          for (const templateValue of templateValues()) {templateValue.URLCheckedAt = now;}
+        } catch (e) {
+          console.warn(`Failed to check the subscription to ${subscriptionURL}:`, e);
+          failed.push({ url: subscriptionURL, reason: e?.message || String(e) });
+        }
+      }
+
+      if (checked.length) {await this.#storeTemplates();}
+      return { checked, updated, failed };
+    })();
+
+    try {
+      return await this.subscriptionRefresh;
+    } finally {
+      this.subscriptionRefresh = null;
+    }
+  }
+
+  /** Updates the templates that came from a URL, after the file at the URL changed.
+   * @param {string} url - The URL
+   * @param {Array<string>} idKeys - The keys of the templates that came from the URL
+   * @param {ArrayBuffer} bytes - The new file
+   * @param {string} contentType - The content type of the new file
+   * @param {Object} subscription - The "URL..." values to store with every updated template
+   * @throws {Error} If the file can not be read, or a template could not be updated
+   * @since 0.83.0
+   */
+  async #updateSubscription(url, idKeys, bytes, contentType, subscription) {
+
+    const retile = async (idKey, coords, readImage, options = {}) => {
+      const name = this.templatesJSON.templates[idKey]?.name;
+      const template = await this.#retileTemplate(idKey, coords, readImage, {
+        ...options,
+        progressText: `Updating template "${name}" from ${url}...`,
+        doneText: `Updated template "${name}" from ${url}!`,
+        values: subscription,
+        historyLabel: `Update "${name}"`,
+      });
+      if (!template) {throw new Error(`Template "${name}" could not be updated.`);} // Checked again next time
+    };
+
+    if (!TemplateManager.#isJSONFile(bytes, contentType)) {
+
+      // An image is tiled again where the template is
+      for (const idKey of idKeys) {
+        const template = this.templatesArray.find(t => t.idKey === idKey);
+        if (!template?.coords) {continue;}
+        await retile(idKey, template.coords, async () => new Blob([bytes], { type: contentType || 'image/png' }));
+      }
+      return;
+    }
+
+    const context = this.#getImporterContext();
+    const remoteJSON = JSON.parse(new TextDecoder().decode(bytes));
+    const importer = findTemplateImporter(remoteJSON, context);
+    if (!importer) {throw new Error('The URL is not a template file in a known format anymore.');}
+    const parsed = importer.parse(remoteJSON, context);
+    const json = parsed.json ? await this.#migrateJSON(parsed.json) : { templates: {} };
+
+    const newTemplates = {};
+    for (const [remoteKey, remoteValue] of Object.entries(json.templates)) {
+
+      const idKey = idKeys.find(idKey => this.templatesJSON.templates[idKey]?.URLKey === remoteKey);
+      if (!idKey) {newTemplates[remoteKey] = remoteValue; continue;}
+
+      // A template that came from this file is tiled again from its new tiles, where the file places it now
+      const coords = remoteValue?.coords?.split(',').map(Number);
+      if (!remoteValue?.['tiles'] || coords?.length !== 4 || !coords.every(Number.isFinite)) {continue;}
+      const tileBlobs = {};
+      for (const [tileKey, encodedTile] of Object.entries(remoteValue['tiles'])) {
+        tileBlobs[tileKey] = TemplateManager.#base64ToBlob(encodedTile);
+      }
+      await retile(idKey, coords, async () => Template.joinTemplateTiles(tileBlobs, coords, this.tileSize), {
+        colorMetric: remoteValue.colorMetric || 'rgb',
+        dither: remoteValue.dither || 'none',
+      });
+    }
+
+    // The image of a template from another tool is downloaded again, and tiled where the file places it now
+    const newImages = [];
+    for (const image of parsed.images) {
+      const idKey = idKeys.find(idKey => this.templatesJSON.templates[idKey]?.URLKey === image.key);
+      if (!idKey) {newImages.push(image); continue;}
+      await retile(idKey, image.coords, async () => this.#readImportedImage(image, { baseURL: url }));
+    }
+
+    if (Object.keys(newTemplates).length || newImages.length) {
+      await this.#mergeTemplates(
+        { json: Object.keys(newTemplates).length ? { ...json, templates: newTemplates } : null, images: newImages, skipped: [] },
+        { subscription: { ...subscription, "URL": url, "URLType": "template" } }
+      );
+    }
+  }
+
+  /** Reads the image of a template from another tool, and crops it to the part that is used.
+   * @param {ImportedImage} image - The image, as returned by an importer
+   * @param {Object} [options={}] - Where the image can be found
+   * @param {Array<File>} [options.files=[]] - Image files the image can refer to by file name
+   * @param {string} [options.baseURL] - The URL of the template file, which relative image URLs are resolved against
+   * @returns {Promise<Blob>} The image
+   * @throws {Error} If the image can not be found or downloaded
+   * @since 0.83.0
+   */
+  async #readImportedImage(image, { files = [], baseURL } = {}) {
+
+    let blob;
+    const dataURL = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s.exec(image.source);
+    const file = files.find(file => file.name === TemplateManager.#getImageFileName(image.source));
+
+    if (dataURL) {
+      const bytes = dataURL[2].includes(';base64') ? base64ToUint8(dataURL[3]) : new TextEncoder().encode(decodeURIComponent(dataURL[3]));
+      blob = new Blob([bytes], { type: dataURL[1] || 'image/png' });
+    } else if (file) {
+      blob = file;
+    } else {
+      let url;
+      try {url = new URL(image.source, baseURL);} catch {url = null;}
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {throw new Error(`select the image "${image.source}" together with the file`);}
+      const { bytes, contentType } = await this.fetchFile(url.href);
+      blob = new Blob([bytes], { type: contentType || 'image/png' });
+    }
+
+    return image.crop ? preprocessImage(blob, { ...defaultPreprocessOptions, crop: image.crop }) : blob;
+  }
+
+  /** Returns the file name in the URL or file name of an image.
+   * @param {string} source - The URL, data URL, or file name of the image
+   * @returns {string} The file name, or an empty string for data URLs
+   * @since 0.83.0
+   */
+  static #getImageFileName(source) {
+    if (String(source).startsWith('data:')) {return '';}
+    try {
+      return decodeURIComponent(String(source).split(/[?#]/)[0].split('/').pop() || '');
+    } catch {
+      return String(source);
+    }
+  }
+
+  /** Downloads a file, without the restrictions on other websites that fetch has.
+   * @param {string} url - The URL of the file
+   * @returns {Promise<{bytes: ArrayBuffer, contentType: string}>} The file, and its content type (empty if unknown)
+   * @throws {Error} If the file could not be downloaded
+   * @since 0.83.0
+   */
+  static #fetchURL(url) {
+    return new Promise((resolve, reject) => {
+      if (typeof GM?.xmlHttpRequest !== 'function') {reject(new Error('Your userscript manager can not download files.')); return;}
+      GM.xmlHttpRequest({
+        method: 'GET',
+        url: url,
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        headers: { 'Cache-Control': 'no-cache' }, // Changes must be seen right away
+        onload: (response) => {
+          if (response.status < 200 || response.status >= 300) {reject(new Error(`The server answered ${response.status} ${response.statusText || ''}`.trim())); return;}
+          const contentType = /^content-type:\s*([^;\r\n]+)/im.exec(response.responseHeaders || '')?.[1]?.trim() || '';
+          resolve({ bytes: response.response, contentType: contentType });
+        },
+        onerror: () => reject(new Error('The URL could not be reached, or downloading from its host was not allowed.')),
+        ontimeout: () => reject(new Error('The URL took too long to answer.')),
+      });
+    });
+  }
+
+  /** Checks if a downloaded file is a template file (JSON) rather than an image.
+   * Servers often send JSON as plain text, so the first character is checked as well.
+   * @param {ArrayBuffer} bytes - The file
+   * @param {string} contentType - The content type the server sent
+   * @returns {boolean} True if the file is JSON
+   * @since 0.83.0
+   */
+  static #isJSONFile(bytes, contentType) {
+    if (/json/i.test(contentType)) {return true;}
+    if (/^image\//i.test(contentType)) {return false;}
+    return new TextDecoder().decode(new Uint8Array(bytes, 0, Math.min(64, bytes.byteLength))).trimStart().startsWith('{');
+  }
+
+  /** Returns the details of this userscript that the template importers need.
+   * @returns {{whoami: string, tileSize: number}} The "whoami" of the files this userscript writes, and the number of pixels in a tile
+   * @since 0.83.0
+   */
+  #getImporterContext() {
+    return { whoami: this.name.replace(' ', ''), tileSize: this.tileSize };
+  }
+
+  /** Upgrades a template JSON object to the current schema version by running every migration in order.
+   * JSON objects without a schema version are treated as version 1.0.0.
+   * @param {Object} json - The JSON object to upgrade. It is modified in place
+   * @param {Object} [options={}] - Optional parameters
+   * @param {boolean} [options.isStored=false] - True if the JSON object is the stored one, whose tile images that are not inlined are in storage.
+   * Tile images in storage belong to the stored templates, so imported files only use the tile images inlined in them
+   * @param {Array<{name: string, reason: string}>} [options.skipped=[]] - Templates that can not be upgraded are removed, and added to this list
+   * @returns {Promise<Object>} The upgraded JSON object
+   * @throws {Error} If the schema version is newer than this version of the userscript supports, or can not be upgraded
+   * @since 0.83.0
+   */
+  async #migrateJSON(json, { isStored = false, skipped = [] } = {}) {
+
+    if (!json.schemaVersion) {json.schemaVersion = '1.0.0';}
+
+    if (compareVersions(json.schemaVersion, this.templatesVersion) > 0) {
+      throw new Error(`The templates use schema version ${json.schemaVersion}, but this version of ${this.name} only supports up to ${this.templatesVersion}. Update the userscript to load them.`);
+    }
 
+    while (compareVersions(json.schemaVersion, this.templatesVersion) < 0) {
+      const migration = TemplateManager.#schemaMigrations[json.schemaVersion];
+      if (!migration) {throw new Error(`The templates use schema version ${json.schemaVersion}, which can not be upgraded.`);}
+      console.log(`Migrating templates from schema version ${json.schemaVersion}...`);
+      json = await migration(json, this, { isStored, skipped });
+    }
+
+    return json;
+  }
+
+  /** Removes the templates of an imported file that do not have all of their tile images inlined.
+   * @param {Object} json - The JSON object of the file. It is modified in place
+   * @param {Array<{name: string, reason: string}>} skipped - The removed templates are added to this list
+   * @since 0.83.0
+   */
+  static #skipTemplatesWithoutTiles(json, skipped) {
+    for (const [idKey, templateValue] of Object.entries(json.templates || {})) {
+      if ((templateValue.tileKeys || []).every(tileKey => templateValue['tiles']?.[tileKey])) {continue;}
+      delete json.templates[idKey];
+      skipped.push({ name: templateValue.name || idKey, reason: 'tile images are missing from the file' });
+    }
+  }
+
+  /** Imports the JSON object from storage, and loads every template in it.
+   * Older schema versions are upgraded (and stored again), and tile images still inlined in the JSON object are moved to IndexedDB.
+   * Templates of other template tools are converted into Blue Marble templates (see {@link templateImporters}), and stored as those.
+   * If the JSON object can not be loaded, saving templates is blocked so the stored templates are not overwritten.
+   * @param {Object} json - The JSON object to import
+   * @throws {Error} If the JSON object is not in a known format, or its schema version is not supported
+   */
+  async importJSON(json) {
+
+    console.log(`Importing JSON...`);
+    console.log(json);
+
+    if (!json || Object.keys(json).length === 0) {return;} // Nothing is stored yet
+
+    try {
+      const context = this.#getImporterContext();
+      const importer = findTemplateImporter(json, context);
+      if (!importer) {throw new Error('The stored templates are not in a known format.');}
+      const parsed = importer.parse(json, context);
+      if (!parsed.json) {await this.#mergeTemplates(parsed, {}); return;} // Only templates of other tools
+
+      json = parsed.json;
+      const previousVersion = json.schemaVersion;
+      json = await this.#migrateJSON(json, { isStored: true });
+
+      // Store the original JSON so we can persist modifications
+      this.templatesJSON = json;
+      const tilesMoved = await this.#moveInlineTilesToStorage(json);
+      await this.#parseBlueMarble(json); // ...parse the template object as Thanks to Brioche 
+
+      // Saves the upgraded JSON object so the migration only runs once
+      if (tilesMoved || (previousVersion !== json.schemaVersion)) {await this.#storeTemplates();}
+    } catch (e) {
+      this.templatesStorageBlocked = true;
+      throw e;
+    }
+  }
+
+  /** Parses the Thanks to Brioche  JSON object
+   * @param {string} json - The JSON string to parse
+   * @since 0.72.13
+   */
+  async #parseBlueMarble(json) {
+
+    console.log(`Parsing BlueMarble...`);
+
+    const templates = json.templates;
+
+    console.log(`BlueMarble length: ${Object.keys(templates).length}`);
+
+    const hidden = []; // Templates over the memory budget
+
+    if (Object.keys(templates).length > 0) {
+
+      for (const template in templates) {
+
+        const templateKey = template;
+        const templateValue = templates[template];
+        console.log(templateKey);
+
+        if (templates.hasOwnProperty(template)) {
+
+          // Creates a new Template class instance
+          const templateObj = await this.#loadTemplate(templateKey, templateValue);
+
+          // Templates over the memory budget are listed, but hidden until the user shows them. This is not stored
+          if (templateObj.enabled && this.#exceedsMemoryBudget(templateObj)) {
+            templateObj.enabled = false;
+            templateObj.overBudget = true;
+            hidden.push(templateObj.displayName);
+          }
+
+          this.templatesArray.push(templateObj);
+          console.log(this.templatesArray);
+          console.log(`^^^ This ^^^`);
+        }
+      }
+    }
+
+    if (hidden.length) {
+      this.overlay?.handleDisplayError?.(`Hid ${hidden.length} template${hidden.length == 1 ? '' : 's'} (${hidden.join(', ')}), since showing ${hidden.length == 1 ? 'it' : 'them'} would use more memory than the budget. Show ${hidden.length == 1 ? 'it' : 'them'} from the template list.`);
+    }
   }
 
   /** Sets the `templatesShouldBeDrawn` boolean to a value.
@@ -791,41 +1906,823 @@ export default class TemplateManager {
     this.templatesShouldBeDrawn = value;
   }
 
-  /** Returns array summaries for UI: { idKey, name, enabled }
+  /** Returns array summaries for UI: { idKey, name, enabled, progress }
+   * Sorted by draw order, with the template drawn on top first.
    * @since 0.74.0
    */
   getTemplateSummaries() {
-    return (this.templatesArray || []).map(t => ({
+    return [...(this.templatesArray || [])].sort((a, b) => b.sortID - a.sortID).map(t => ({
       idKey: t?.idKey || `${t?.sortID} ${t?.authorID}`,
       name: t?.displayName || 'Template',
       enabled: !!t?.enabled,
+      overBudget: !!t?.overBudget,
+      group: this.templatesJSON?.templates?.[t?.idKey]?.['group'] || '',
+      url: this.templatesJSON?.templates?.[t?.idKey]?.URL || null,
+      urlUpdatedAt: this.templatesJSON?.templates?.[t?.idKey]?.URLUpdatedAt || null,
+      memory: this.#getTemplateMemory(t),
+      coords: t?.coords || null,
+      style: this.getTemplateStyle(t),
+      progress: t?.getProgress?.() || null,
     }));
   }
 
   /** Enable/Disable a template by idKey with persistence */
   async setTemplateEnabled(idKey, enabled) {
-    const t = (this.templatesArray || []).find(x => (x?.idKey || `${x?.sortID} ${x?.authorID}`) === idKey);
-    if (!t) { return; }
-    t.enabled = !!enabled;
+    await this.setTemplatesEnabled([idKey], enabled);
+  }
+
+  /** Shows or hides several templates (e.g. a group) at once, with one write to storage.
+   * @param {Array<string>} idKeys - The keys of the templates
+   * @param {boolean} enabled - True to show the templates, false to hide them
+   * @since 0.83.0
+   */
+  async setTemplatesEnabled(idKeys, enabled) {
+    const templates = (this.templatesArray || []).filter(x => idKeys.includes(x?.idKey || `${x?.sortID} ${x?.authorID}`));
+    if (!templates.length) { return; }
+    const before = this.#snapshotTemplates(templates.map(t => t.idKey));
+    for (const t of templates) {
+      t.enabled = !!enabled;
+      t.overBudget = false; // Shown or hidden by the user from now on
+      if (this.templatesJSON?.templates?.[t.idKey]) {
+        this.templatesJSON.templates[t.idKey].enabled = !!enabled;
+      }
+    }
+    // Invalidate caches and persist
+    this.cacheVersion++;
+    this.mergedTileCache.clear();
+    await this.#storeTemplates();
+    await this.#recordHistory(`${enabled ? 'Show' : 'Hide'} ${this.#describeTemplates(templates)}`, before, this.#snapshotTemplates(templates.map(t => t.idKey)));
+  }
+
+  /** Returns the name of every group that has templates in it.
+   * @returns {Array<string>} The group names, sorted alphabetically
+   * @since 0.83.0
+   */
+  getTemplateGroups() {
+    const groups = Object.values(this.templatesJSON?.templates || {}).map(templateValue => templateValue?.['group']).filter(Boolean);
+    return [...new Set(groups)].sort((a, b) => a.localeCompare(b));
+  }
+
+  /** Moves a template up or down in the draw order, by swapping sort IDs with the template next to it.
+   * Templates drawn later are drawn on top, and win when auto-selecting colors.
+   * The key of the template keeps its original sort ID, so its stored tiles are still found. The new sort ID is stored next to it.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @param {number} offset - 1 to draw the template above the next template, -1 to draw it below the previous one
+   * @returns {Promise<boolean>} True if the order changed
+   * @since 0.83.0
+   */
+  async reorderTemplate(idKey, offset) {
+
+    const templates = [...this.templatesArray].sort((a, b) => a.sortID - b.sortID);
+    const index = templates.findIndex(t => t.idKey === idKey);
+    const other = templates[index + Math.sign(offset)];
+    if (index < 0 || !other) {return false;} // Already first or last
+
+    const template = templates[index];
+    [template.sortID, other.sortID] = [other.sortID, template.sortID];
+    for (const t of [template, other]) {
+      if (this.templatesJSON?.templates?.[t.idKey]) {this.templatesJSON.templates[t.idKey]['sortID'] = t.sortID;}
+    }
+
+    // Invalidate caches and persist
+    this.cacheVersion++;
+    this.mergedTileCache.clear();
+    await this.#storeTemplates();
+    return true;
+  }
+
+  /** Estimates the bitmap memory a template of a size uses once every tile of it is loaded.
+   * Every tile region is kept as four bitmaps (original and auto-colored, masked and solid), enlarged by the draw multiplier,
+   * along with one byte per pixel for its color index map.
+   * @param {number} width - The width of the template in pixels
+   * @param {number} height - The height of the template in pixels
+   * @returns {number} The estimated memory in bytes
+   * @since 0.83.0
+   */
+  estimateTemplateMemory(width, height) {
+    const bytesPerPixel = 4 * (this.drawMult * this.drawMult * 4) + 1; // Four RGBA variants, and the color index
+    return Math.max(0, width * height) * bytesPerPixel;
+  }
+
+  /** Estimates the bitmap memory of a template.
+   * Templates stored before their size was kept are estimated from their colored pixels, which is the least they can use.
+   * @param {Template} template - The template
+   * @returns {number} The estimated memory in bytes
+   * @since 0.83.0
+   */
+  #getTemplateMemory(template) {
+    return (template?.width && template?.height)
+      ? this.estimateTemplateMemory(template.width, template.height)
+      : this.estimateTemplateMemory(template?.pixelCount || 0, 1);
+  }
+
+  /** Sums the estimated bitmap memory of every shown template. Hidden templates do not load their tiles, so they are not counted.
+   * @returns {{used: number, budget: number}} The estimated memory in bytes, and the budget
+   * @since 0.83.0
+   */
+  getMemoryUsage() {
+    const used = this.templatesArray.filter(t => t.enabled).reduce((sum, t) => sum + this.#getTemplateMemory(t), 0);
+    return { used, budget: this.memoryBudget };
+  }
+
+  /** Checks if showing a template would make the shown templates use more memory than the budget.
+   * @param {Template} template - A template that is not shown yet
+   * @returns {boolean} True if the budget would be exceeded
+   * @since 0.83.0
+   */
+  #exceedsMemoryBudget(template) {
+    return this.getMemoryUsage().used + this.#getTemplateMemory(template) > this.memoryBudget;
+  }
+
+  /** Finds the lowest sort ID that no template uses, in its sort ID or in its key.
+   * Reordered templates keep their original sort ID in their key, so both must be free for the key to be unique.
+   * @returns {number} The free sort ID
+   * @since 0.83.0
+   */
+  #getFreeSortID() {
+    const usedSortIDs = this.#getUsedSortIDs();
+    let sortID = 0; while (usedSortIDs.has(sortID)) { sortID++; }
+    return sortID;
+  }
+
+  /** Returns every sort ID a new template must not use.
+   * Besides the loaded templates, the keys in the history are kept free, since their tile images are still stored under them.
+   * @returns {Set<number>} The sort IDs in use
+   * @since 0.83.0
+   */
+  #getUsedSortIDs() {
+    const usedSortIDs = new Set(this.templatesArray.map(t => t.sortID));
+    const idKeys = [
+      ...Object.keys(this.templatesJSON?.templates || {}),
+      ...[...this.history['undo'], ...this.history['redo']].flatMap(entry => Object.keys(entry['changes'])),
+    ];
+    for (const idKey of idKeys) {usedSortIDs.add(Number(idKey.split(' ')[0]));}
+    return usedSortIDs;
+  }
+
+  /** Returns how a template is drawn: its own style, with the defaults for everything it does not change.
+   * @param {Template} template - The template
+   * @returns {{opacityZoomedOut: number, opacityZoomedIn: number, tint: string|null, blendMode: string}} The style of the template
+   * @since 0.83.0
+   */
+  getTemplateStyle(template) {
+    return { ...this.defaultTemplateStyle, ...template?.style };
+  }
+
+  /** Changes how a template is drawn, with persistence.
+   * An opacity of 0 hides the template in that zoom mode, so a template can be shown only when zoomed in or out.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @param {Object} style - The settings to change. Settings that are left out keep their value
+   * @param {number} [style.opacityZoomedOut] - Opacity (0 to 1) when zoomed out
+   * @param {number} [style.opacityZoomedIn] - Opacity (0 to 1) of the small squares when zoomed in
+   * @param {string|null} [style.tint] - A "#rrggbb" color every pixel is tinted with, or null to keep the template colors
+   * @param {string} [style.blendMode] - How the template blends with the canvas (see {@link TemplateManager#blendModes})
+   * @returns {Promise<Object|null>} The new style of the template, or null if the template is not loaded
+   * @since 0.83.0
+   */
+  async setTemplateStyle(idKey, style) {
+
+    const template = this.templatesArray.find(t => t.idKey === idKey);
+    if (!template) {return null;}
+
+    template.style = this.#normalizeTemplateStyle({ ...template.style, ...style });
     if (this.templatesJSON?.templates?.[idKey]) {
-      this.templatesJSON.templates[idKey].enabled = !!enabled;
+      this.templatesJSON.templates[idKey]['style'] = template.style;
     }
+
     // Invalidate caches and persist
     this.cacheVersion++;
     this.mergedTileCache.clear();
     await this.#storeTemplates();
+    return this.getTemplateStyle(template);
+  }
+
+  /** Collects everything known about a template, for its detail view.
+   * Templates stored before their size was kept are measured from their tile images.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @returns {Promise<{idKey: string, name: string, notes: string, group: string, coords: Array<number>|null, width: number|null, height: number|null, pixelCount: number, author: number|null, createdAt: string|null, sourceName: string, url: string|null, urlCheckedAt: string|null, urlUpdatedAt: string|null}|null>} The details, or null if the template is not loaded. Unknown values are null
+   * @since 0.83.0
+   */
+  async getTemplateDetails(idKey) {
+
+    const template = this.templatesArray.find(t => t.idKey === idKey);
+    const templateValue = this.templatesJSON?.templates?.[idKey];
+    if (!template || !templateValue) {return null;}
+
+    if (!templateValue.width && template.coords) {
+      try {
+        Object.assign(templateValue, await this.#measureTemplate(idKey, template.coords)); // Stored with the next change to the templates
+      } catch (e) {
+        console.warn(`The size of template "${template.displayName}" could not be measured:`, e);
+      }
+    }
+
+    const author = encodedToNumber(template.authorID, this.encodingBase);
+
+    return {
+      idKey: idKey,
+      name: template.displayName,
+      notes: templateValue['notes'] || '',
+      group: templateValue['group'] || '',
+      coords: template.coords,
+      width: templateValue.width || null,
+      height: templateValue.height || null,
+      pixelCount: template.pixelCount,
+      author: (author > 0) ? author : null, // 0 is stored when the user was not known yet
+      createdAt: templateValue.createdAt || null,
+      sourceName: templateValue.sourceName || '',
+      url: templateValue.URL || null,
+      urlCheckedAt: templateValue.URLCheckedAt || null,
+      urlUpdatedAt: templateValue.URLUpdatedAt || null,
+    };
+  }
+
+  /** Renames a template, and changes its notes and group, with persistence.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @param {Object} details - The details to change. Details that are left out keep their value
+   * @param {string} [details.name] - The display name. An empty name keeps the current one
+   * @param {string} [details.notes] - Free text notes about the template
+   * @param {string} [details.group] - The name of the group the template belongs to. An empty name removes it from its group
+   * @returns {Promise<boolean>} True if the template was found
+   * @since 0.83.0
+   */
+  async updateTemplateDetails(idKey, { name, notes, group } = {}) {
+
+    const template = this.templatesArray.find(t => t.idKey === idKey);
+    const templateValue = this.templatesJSON?.templates?.[idKey];
+    if (!template || !templateValue) {return false;}
+    const before = this.#snapshotTemplates([idKey]);
+    const previousName = template.displayName;
+
+    const trimmedName = String(name ?? '').trim().slice(0, 100);
+    if (trimmedName) {
+      template.displayName = trimmedName;
+      templateValue.name = trimmedName;
+    }
+
+    if (notes !== undefined) {
+      const trimmedNotes = String(notes).trim().slice(0, 1000);
+      if (trimmedNotes) {templateValue['notes'] = trimmedNotes;} else {delete templateValue['notes'];}
+    }
+
+    if (group !== undefined) {
+      const trimmedGroup = String(group).trim().slice(0, 50);
+      if (trimmedGroup) {templateValue['group'] = trimmedGroup;} else {delete templateValue['group'];}
+    }
+
+    await this.#storeTemplates();
+    await this.#recordHistory((template.displayName !== previousName) ? `Rename "${previousName}" to "${template.displayName}"` : `Edit "${template.displayName}"`, before, this.#snapshotTemplates([idKey]));
+    return true;
+  }
+
+  /** Measures the size of a template from the position and size of its tile images.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @param {Array<number>} coords - The coordinates of the top left corner of the template
+   * @returns {Promise<{width: number, height: number}>} The size of the template in pixels
+   * @throws {Error} If a tile image can not be read
+   * @since 0.83.0
+   */
+  async #measureTemplate(idKey, coords) {
+
+    const originX = coords[0] * this.tileSize + coords[2];
+    const originY = coords[1] * this.tileSize + coords[3];
+    let width = 0;
+    let height = 0;
+
+    for (const tileKey of this.templatesJSON.templates[idKey].tileKeys || []) {
+      const tileBlob = await this.#readTemplateTile(idKey, tileKey);
+      if (!tileBlob) {throw new Error(`The image of tile ${tileKey} is missing.`);}
+      const bitmap = await createImageBitmap(tileBlob);
+      const [tileX, tileY, pixelX, pixelY] = tileKey.split(',').map(Number);
+      width = Math.max(width, tileX * this.tileSize + pixelX - originX + bitmap.width);
+      height = Math.max(height, tileY * this.tileSize + pixelY - originY + bitmap.height);
+      bitmap.close();
+    }
+
+    return { width, height };
+  }
+
+  /** Keeps only the valid settings of a template style, and leaves out the settings that equal the defaults.
+   * @param {Object} [style] - The style, e.g. from an imported file
+   * @returns {Object} The settings that differ from the defaults
+   * @since 0.83.0
+   */
+  #normalizeTemplateStyle(style) {
+
+    const normalized = {};
+    for (const key of ['opacityZoomedOut', 'opacityZoomedIn']) {
+      const opacity = Number(style?.[key]);
+      if (style?.[key] != null && Number.isFinite(opacity)) {normalized[key] = Math.min(1, Math.max(0, opacity));}
+    }
+    if (/^#[0-9a-f]{6}$/i.test(style?.['tint'] || '')) {normalized['tint'] = style['tint'].toLowerCase();}
+    if (Object.keys(this.blendModes).includes(style?.['blendMode'])) {normalized['blendMode'] = style['blendMode'];}
+
+    for (const [key, value] of Object.entries(normalized)) {
+      if (value === this.defaultTemplateStyle[key]) {delete normalized[key];}
+    }
+    return normalized;
   }
 
   /** Remove a template by idKey with persistence */
   async removeTemplate(idKey) {
-    const beforeLen = this.templatesArray.length;
-    this.templatesArray = (this.templatesArray || []).filter(x => (x?.idKey || `${x?.sortID} ${x?.authorID}`) !== idKey);
-    if (beforeLen !== this.templatesArray.length && this.templatesJSON?.templates?.[idKey]) {
+    await this.removeTemplates([idKey]);
+  }
+
+  /** Removes several templates (e.g. a group) at once, with one write to storage.
+   * @param {Array<string>} idKeys - The keys of the templates
+   * @since 0.83.0
+   */
+  async removeTemplates(idKeys) {
+    const removed = (this.templatesArray || []).filter(x => idKeys.includes(x?.idKey || `${x?.sortID} ${x?.authorID}`));
+    if (!removed.length) { return; }
+    const before = this.#snapshotTemplates(removed.map(t => t.idKey));
+    this.templatesArray = (this.templatesArray || []).filter(x => !removed.includes(x));
+    for (const t of removed) {
+      if (this.templatesJSON?.templates?.[t.idKey]) {
+        delete this.templatesJSON.templates[t.idKey];
+      }
+    }
+    // Invalidate caches and persist
+    this.cacheVersion++;
+    this.mergedTileCache.clear();
+    await this.#storeTemplates();
+    // The tile images are kept until the removal can not be undone anymore
+    await this.#recordHistory(`Remove ${this.#describeTemplates(removed)}`, before, Object.fromEntries(removed.map(t => [t.idKey, null])));
+  }
+
+  /** Loads the history from storage, so changes can still be undone after the page is reloaded.
+   * Tile images that neither the templates nor the history refer to are deleted afterwards.
+   * @param {{undo: Array<Object>, redo: Array<Object>}} history - The history, as stored in {@link TemplateManager#history}
+   * @since 0.83.0
+   */
+  async importHistory(history) {
+
+    if (this.templatesStorageBlocked) {return;}
+
+    const isEntry = (entry) => (typeof entry?.['label'] === 'string') && (typeof entry?.['changes'] === 'object') && (entry['changes'] !== null);
+    const readEntries = (entries) => (Array.isArray(entries) ? entries.filter(isEntry) : []);
+
+    // Changes made while the history was loading come after the stored ones
+    this.history = {
+      'undo': [...readEntries(history?.['undo']), ...this.history['undo']].slice(-this.historyLimit),
+      'redo': this.history['undo'].length ? this.history['redo'] : readEntries(history?.['redo']).slice(-this.historyLimit),
+    };
+
+    await this.#purgeUnusedTiles();
+  }
+
+  /** Returns what the next undo and redo would change, for the user interface.
+   * @returns {{undo: string|null, redo: string|null}} The description of each change, or null if there is nothing to undo or redo
+   * @since 0.83.0
+   */
+  getHistoryLabels() {
+    return {
+      undo: this.history['undo'][this.history['undo'].length - 1]?.['label'] || null,
+      redo: this.history['redo'][this.history['redo'].length - 1]?.['label'] || null,
+    };
+  }
+
+  /** Undoes the last change to the templates: creating, removing, showing, hiding, moving or renaming them.
+   * @returns {Promise<string|null>} The description of the change, or null if there is nothing to undo
+   * @since 0.83.0
+   */
+  async undo() {
+    return this.#stepHistory(this.history['undo'], this.history['redo'], 'before');
+  }
+
+  /** Redoes the last change that was undone.
+   * @returns {Promise<string|null>} The description of the change, or null if there is nothing to redo
+   * @since 0.83.0
+   */
+  async redo() {
+    return this.#stepHistory(this.history['redo'], this.history['undo'], 'after');
+  }
+
+  /** Moves the last change from one history stack to the other, and changes the templates to how they were on one side of it.
+   * @param {Array<Object>} from - The stack to take the change from
+   * @param {Array<Object>} to - The stack to put the change on
+   * @param {'before'|'after'} side - Which side of the change the templates are changed to
+   * @returns {Promise<string|null>} The description of the change, or null if the stack is empty
+   * @since 0.83.0
+   */
+  async #stepHistory(from, to, side) {
+
+    // A template that is being tiled would be stored over the change
+    if (this.templateCreation) {
+      this.overlay?.handleDisplayError?.('A template is being created or changed. Wait for it to finish, or cancel it.');
+      return null;
+    }
+
+    const entry = from.pop();
+    if (!entry) {return null;}
+
+    try {
+      await this.#applyHistoryChanges(entry['changes'], side);
+    } catch (e) {
+      from.push(entry); // Can be tried again
+      throw e;
+    }
+
+    to.push(entry);
+    await this.#storeHistory();
+    return entry['label'];
+  }
+
+  /** Changes the templates to how they were on one side of a change in the history.
+   * Created and removed templates are stored whole. Changed templates only store the values that changed,
+   * so later changes to other values (e.g. the style) are kept.
+   * @param {Object<string, {before: Object|null, after: Object|null, partial?: boolean}>} changes - The change of each template, by key
+   * @param {'before'|'after'} side - Which side of the change the templates are changed to
+   * @since 0.83.0
+   */
+  async #applyHistoryChanges(changes, side) {
+
+    const inPlaceValues = ['enabled', 'name', 'notes', 'group']; // Changes to these do not need the tiles to be loaded again
+
+    // Creates the JSON object if it does not already exist
+    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON(); console.log(`Creating JSON...`);}
+
+    for (const [idKey, change] of Object.entries(changes)) {
+
+      const value = change[side];
+      const index = this.templatesArray.findIndex(t => t.idKey === idKey);
+      const template = this.templatesArray[index];
+
+      if (change['partial']) {
+
+        const templateValue = this.templatesJSON.templates[idKey];
+        if (!template || !templateValue) {continue;} // Removed by a change that is not in the history
+
+        for (const [valueKey, changedValue] of Object.entries(value)) {
+          if (changedValue === null) {delete templateValue[valueKey];} else {templateValue[valueKey] = JSON.parse(JSON.stringify(changedValue));}
+        }
+
+        if (Object.keys(value).every(valueKey => inPlaceValues.includes(valueKey))) {
+          template.enabled = (templateValue.enabled !== false);
+          template.overBudget = false; // Shown or hidden by the user
+          template.displayName = templateValue.name || template.displayName;
+        } else {
+          this.#unloadTemplateTiles(template); // E.g. moved, so the tiles are different
+          this.templatesArray[index] = await this.#loadTemplate(idKey, templateValue);
+        }
+        continue;
+      }
+
+      // The template is created or removed
+      if (template) {
+        this.#unloadTemplateTiles(template);
+        this.templatesArray.splice(index, 1);
+      }
       delete this.templatesJSON.templates[idKey];
+
+      if (value) {
+        const templateValue = JSON.parse(JSON.stringify(value));
+        this.templatesJSON.templates[idKey] = templateValue;
+        const restoredTemplate = await this.#loadTemplate(idKey, templateValue);
+
+        // Like loaded templates, restored templates over the memory budget are hidden until the user shows them
+        if (restoredTemplate.enabled && this.#exceedsMemoryBudget(restoredTemplate)) {
+          restoredTemplate.enabled = false;
+          restoredTemplate.overBudget = true;
+        }
+
+        this.templatesArray.push(restoredTemplate);
+      }
     }
+
     // Invalidate caches and persist
     this.cacheVersion++;
     this.mergedTileCache.clear();
     await this.#storeTemplates();
   }
+
+  /** Copies the JSON objects of templates, to compare them before and after a change.
+   * @param {Array<string>} idKeys - The keys of the templates
+   * @returns {Object<string, Object|null>} A copy of the JSON object of each template, or null if it does not exist
+   * @since 0.83.0
+   */
+  #snapshotTemplates(idKeys) {
+    return Object.fromEntries(idKeys.map(idKey => {
+      const templateValue = this.templatesJSON?.templates?.[idKey];
+      return [idKey, templateValue ? JSON.parse(JSON.stringify(templateValue)) : null];
+    }));
+  }
+
+  /** Adds a change to the history, so it can be undone.
+   * Changes that can not be redone anymore, or that fall off the end of the history, are forgotten, and their tile images deleted.
+   * @param {string} label - The description of the change, shown to the user
+   * @param {Object<string, Object|null>} before - The templates before the change, from `#snapshotTemplates`
+   * @param {Object<string, Object|null>} after - The templates after the change, from `#snapshotTemplates`
+   * @since 0.83.0
+   */
+  async #recordHistory(label, before, after) {
+
+    const changes = {};
+    for (const idKey of new Set([...Object.keys(before), ...Object.keys(after)])) {
+
+      const beforeValue = before[idKey] || null;
+      const afterValue = after[idKey] || null;
+
+      if (!beforeValue || !afterValue) {
+        if (beforeValue || afterValue) {changes[idKey] = { 'before': beforeValue, 'after': afterValue };} // Created or removed
+        continue;
+      }
+
+      // Only the values that changed are kept. Values that did not exist on one side are null
+      const valueKeys = [...new Set([...Object.keys(beforeValue), ...Object.keys(afterValue)])]
+        .filter(valueKey => JSON.stringify(beforeValue[valueKey]) !== JSON.stringify(afterValue[valueKey]));
+      if (!valueKeys.length) {continue;}
+      changes[idKey] = {
+        'partial': true,
+        'before': Object.fromEntries(valueKeys.map(valueKey => [valueKey, beforeValue[valueKey] ?? null])),
+        'after': Object.fromEntries(valueKeys.map(valueKey => [valueKey, afterValue[valueKey] ?? null])),
+      };
+    }
+    if (!Object.keys(changes).length) {return;}
+
+    this.history['undo'].push({ 'label': label, 'changes': changes });
+    const forgotten = this.history['undo'].splice(0, Math.max(0, this.history['undo'].length - this.historyLimit)).length + this.history['redo'].length;
+    this.history['redo'] = []; // A new change replaces the undone ones
+
+    await this.#storeHistory();
+    if (forgotten) {await this.#purgeUnusedTiles();}
+  }
+
+  /** Stores the history in TamperMonkey (GreaseMonkey) storage, next to the templates.
+   * @since 0.83.0
+   */
+  async #storeHistory() {
+    if (this.templatesStorageBlocked) {return;}
+    await GM.setValue('bmTemplateHistory', JSON.stringify(this.history));
+  }
+
+  /** Lists every state of every template that the history can return to, including the current ones.
+   * Partial changes only keep the values that changed, so their states are rebuilt by stepping through the history from the current templates.
+   * Created and removed templates are restored exactly as they were, so those states are listed as they are.
+   * @returns {Array<[string, Object]>} The key and the JSON object of each template state. A template can be listed more than once
+   * @since 0.83.0
+   */
+  #listTemplateStates() {
+
+    const states = Object.entries(this.templatesJSON?.templates || {});
+
+    // Undone changes are stepped back through, and redone changes forward, both starting at the current templates
+    for (const [entries, side] of [[this.history['undo'], 'before'], [this.history['redo'], 'after']]) {
+      const templateValues = { ...this.templatesJSON?.templates };
+      for (const entry of [...entries].reverse()) {
+        for (const [idKey, change] of Object.entries(entry['changes'])) {
+          if (change['partial']) {
+            templateValues[idKey] = { ...templateValues[idKey], ...change[side] };
+            states.push([idKey, templateValues[idKey]]);
+          } else {
+            templateValues[idKey] = change[side];
+            for (const templateValue of [change['before'], change['after']]) {if (templateValue) {states.push([idKey, templateValue]);}}
+          }
+        }
+      }
+    }
+
+    return states;
+  }
+
+  /** Returns the tile generation a template that is tiled again stores its tile images under.
+   * It is newer than every generation of the template the history can return to, so no tile image the history refers to is overwritten.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @returns {number} The tile generation
+   * @since 0.83.0
+   */
+  #getNextTileGeneration(idKey) {
+    const generations = this.#listTemplateStates().filter(([stateKey]) => stateKey === idKey).map(([, templateValue]) => Number(templateValue.tileGeneration) || 0);
+    return Math.max(0, ...generations) + 1;
+  }
+
+  /** Deletes the tile images in IndexedDB that neither the templates nor the history refer to.
+   * Tile images are kept while a change that refers to them can be undone or redone.
+   * Nothing is deleted while tile images are being stored, since their template is not in the JSON object yet.
+   * @since 0.83.0
+   */
+  async #purgeUnusedTiles() {
+
+    if (this.templatesStorageBlocked || this.tileWrites) {return;}
+
+    try {
+      const storedTiles = await this.templateStorage.getTileKeys();
+      if (this.tileWrites) {return;} // Started meanwhile
+
+      const usedTiles = new Set();
+      for (const [idKey, templateValue] of this.#listTemplateStates()) {
+        const storageKey = TemplateManager.#getTileStorageKey(idKey, templateValue);
+        for (const tileKey of templateValue.tileKeys || []) {usedTiles.add(JSON.stringify([storageKey, tileKey]));}
+      }
+
+      for (const [storageKey, tileKey] of storedTiles) {
+        if (!usedTiles.has(JSON.stringify([storageKey, tileKey]))) {await this.templateStorage.deleteTile(storageKey, tileKey);}
+      }
+    } catch (e) {
+      console.warn('Failed to delete the unused template tiles:', e);
+    }
+  }
+
+  /** Describes templates for the history, like `"My Template"` or `3 templates`.
+   * @param {Array<Template>} templates - The templates
+   * @returns {string} The description
+   * @since 0.83.0
+   */
+  #describeTemplates(templates) {
+    return (templates.length === 1) ? `"${templates[0].displayName}"` : `${templates.length} templates`;
+  }
+
+  /** Moves a template to new coordinates.
+   * The stored tiles are joined back into the template image, which is tiled again at the new coordinates,
+   * so the template can cross tile borders. The template keeps its key, name, visibility, color metric and dithering mode.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @param {Array<number>} coords - The new coordinates of the top left corner as (tileX, tileY, pixelX, pixelY)
+   * @returns {Promise<Template|null>} The moved template, or null if it was not moved (e.g. cancelled, or removed meanwhile)
+   * @throws {Error} If the tile images of the template can not be read
+   * @since 0.83.0
+   */
+  async moveTemplate(idKey, coords) {
+
+    const template = this.templatesArray.find(t => t.idKey === idKey);
+    if (!template?.coords) {return null;}
+    if (coords.join(',') === template.coords.join(',')) {return template;} // Already there
+
+    return this.#retileTemplate(idKey, coords, () => this.#readTemplateImage(template), {
+      progressText: `Moving template "${template.displayName}" to ${coords.join(', ')}...`,
+      doneText: `Moved template "${template.displayName}" to ${coords.join(', ')}!`,
+      historyLabel: `Move "${template.displayName}"`,
+    });
+  }
+
+  /** Joins the stored tiles of a template back into the image it was created from.
+   * @param {Template} template - The template
+   * @returns {Promise<Blob>} The PNG of the whole template
+   * @throws {Error} If the image of a tile is missing
+   * @since 0.83.0
+   */
+  async #readTemplateImage(template) {
+    const tileBlobs = {};
+    for (const tileKey of template.tileKeys) {
+      const tileBlob = await this.#readTemplateTile(template.idKey, tileKey);
+      if (!tileBlob) {throw new Error(`The image of tile ${tileKey} is missing.`);}
+      tileBlobs[tileKey] = tileBlob;
+    }
+    return Template.joinTemplateTiles(tileBlobs, template.coords, this.tileSize);
+  }
+
+  /** Packs a template into a share code, which can be sent in chat and pasted into {@link TemplateManager#createTemplateFromShareCode}.
+   * The image is mapped to the palette the way the template maps it, so the share code only holds palette colors.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @returns {Promise<string|null>} The share code, or null if the template is not loaded
+   * @throws {Error} If the image of the template can not be read
+   * @since 0.83.0
+   */
+  async createShareCode(idKey) {
+
+    const template = this.templatesArray.find(t => t.idKey === idKey);
+    if (!template?.coords) {return null;}
+
+    const { width, height, indexMap } = await new Template({
+      file: await this.#readTemplateImage(template),
+      coords: template.coords,
+      tileSize: this.tileSize,
+      colorMetric: template.colorMetric,
+      dither: template.dither,
+      enabledColors: template.enabledColors,
+    }).createIndexMap();
+
+    return encodeShareCode({ name: template.displayName, coords: template.coords, width, height, indexMap });
+  }
+
+  /** Creates a template from a share code made by {@link TemplateManager#createShareCode}.
+   * @param {string} code - The share code
+   * @returns {Promise<Template|null>} The created template, or null if it was not created (e.g. cancelled)
+   * @throws {Error} If the share code is damaged
+   * @since 0.83.0
+   */
+  async createTemplateFromShareCode(code) {
+
+    const { name, coords, width, height, indexMap } = await decodeShareCode(code);
+    if (coords[0] >= 2048 || coords[1] >= 2048 || coords[2] >= this.tileSize || coords[3] >= this.tileSize) {
+      throw new Error('The share code is damaged. Its coordinates are not on the canvas.');
+    }
+
+    // The palette index of every pixel is drawn in its palette color
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < indexMap.length; i++) {
+      if (!indexMap[i]) {continue;} // Not part of the template
+      const rgb = colorpalette[indexMap[i]]?.rgb;
+      if (!rgb) {throw new Error('The share code is damaged. It has colors that are not in the palette.');}
+      data[i * 4] = rgb[0]; data[i * 4 + 1] = rgb[1]; data[i * 4 + 2] = rgb[2]; data[i * 4 + 3] = 255;
+    }
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+
+    // The pixels are palette colors already, so dithering would only change them
+    return this.createTemplate(await canvas.convertToBlob({ type: 'image/png' }), name || 'Shared template', coords, this.autoColorLive, 'Share code', { dither: 'none' });
+  }
+
+  /** Replaces the image of a template, and tiles it again at some coordinates.
+   * The template keeps its key, name, visibility and style.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @param {Array<number>} coords - The coordinates of the top left corner as (tileX, tileY, pixelX, pixelY)
+   * @param {function(): Promise<Blob>} readImage - Reads the new image of the template
+   * @param {Object} options - How the template is tiled, and the status texts
+   * @param {string} options.progressText - The status while the template is tiled
+   * @param {string} options.doneText - The status once the template is tiled
+   * @param {string} [options.colorMetric] - The color metric to map the image with. Defaults to the one of the template
+   * @param {string} [options.dither] - The dithering mode to map the image with. Defaults to the one of the template
+   * @param {Object} [options.values={}] - Values to store in the JSON object of the template, along with the new tiles
+   * @param {string|null} [options.historyLabel=null] - The description of the change in the history, or null to not add it to the history
+   * @returns {Promise<Template|null>} The tiled template, or null if it was not tiled (e.g. cancelled, or removed meanwhile)
+   * @throws {Error} If the image can not be read
+   * @since 0.83.0
+   */
+  async #retileTemplate(idKey, coords, readImage, { progressText, doneText, colorMetric, dither, values = {}, historyLabel = null }) {
+
+    const template = this.templatesArray.find(t => t.idKey === idKey);
+    const templateValue = this.templatesJSON?.templates?.[idKey];
+    if (!template || !templateValue) {return null;}
+
+    // Tiling the template again works like creating one, so only one of them runs at a time
+    if (this.templateCreation) {
+      this.overlay?.handleDisplayError?.('A template is already being created or changed. Wait for it to finish, or cancel it.');
+      return null;
+    }
+
+    this.overlay.handleDisplayStatus(progressText);
+    this.templateCreation = new AbortController();
+    let retiledTemplate;
+    let templateTileSets;
+    try {
+      retiledTemplate = new Template({
+        displayName: template.displayName,
+        sortID: template.sortID,
+        authorID: template.authorID,
+        file: await readImage(),
+        coords: coords,
+        autoColor: template.autoColor,
+        colorMetric: colorMetric || template.colorMetric,
+        dither: dither || template.dither, // Ordered dithering lines up with the new coordinates
+        enabledColors: this.enabledColors,
+        tileSize: this.tileSize,
+        enabled: template.enabled,
+        style: template.style,
+        idKey: idKey,
+      });
+      templateTileSets = await retiledTemplate.createTemplateTiles({
+        signal: this.templateCreation.signal,
+        onProgress: ({ tilesDone, tileCount }) => this.overlay.handleDisplayStatus(`${progressText}
+Processed ${tilesDone} of ${tileCount} tiles`),
+      });
+    } catch (error) {
+      if (error?.name !== 'AbortError') {throw error;}
+      this.overlay.handleDisplayStatus('Cancelled.');
+      return null;
+    } finally {
+      this.templateCreation = null;
+    }
+
+    const index = this.templatesArray.indexOf(template);
+    if (index < 0 || this.templatesJSON?.templates?.[idKey] !== templateValue) {return null;} // Removed meanwhile
+
+    const { templateTilesBlobs } = templateTileSets;
+    this.#applyTemplateTiles(retiledTemplate, templateTileSets);
+    retiledTemplate.tileKeys = Object.keys(templateTilesBlobs);
+
+    const retiledValue = {
+      ...templateValue,
+      ...values,
+      "coords": coords.join(', '),
+      "colorMetric": retiledTemplate.colorMetric,
+      "dither": retiledTemplate.dither,
+      "pixelCount": retiledTemplate.pixelCount,
+      "width": retiledTemplate.width,
+      "height": retiledTemplate.height,
+      "tileKeys": retiledTemplate.tileKeys,
+      "tileCounts": retiledTemplate.tileCounts,
+      "tileGeneration": this.#getNextTileGeneration(idKey) // The tile keys can be the same as before, so the old tiles are not overwritten
+    };
+    const isStored = await this.#storeTemplateTiles(idKey, retiledValue, templateTilesBlobs);
+
+    const before = this.#snapshotTemplates([idKey]);
+    this.#unloadTemplateTiles(template); // Old tiles that are still loading are discarded
+    this.templatesArray[index] = retiledTemplate;
+    this.templatesJSON.templates[idKey] = retiledValue;
+
+    // Invalidate merged tile cache because the template changed
+    this.cacheVersion++;
+    this.mergedTileCache.clear();
+
+    await this.#storeTemplates();
+    if (historyLabel) {await this.#recordHistory(historyLabel, before, this.#snapshotTemplates([idKey]));}
+
+    // The tile images that are no longer used are deleted last, so they are never missing for a stored template.
+    // Tile images the history still refers to are kept, so the change can be undone
+    if (isStored) {await this.#purgeUnusedTiles();}
+
+    this.overlay.handleDisplayStatus(doneText);
+
+    return retiledTemplate;
+  }
 }
@@ -0,0 +1,117 @@
+/** Stores the image data of template tiles in IndexedDB.
+ * The template metadata stays in TamperMonkey (GreaseMonkey) storage, which is rewritten on every change.
+ * The tile images are stored here instead, as one Blob per tile, so they are only written when they change
+ * and only read when they are needed.
+ * @class TemplateStorage
+ * @since 0.83.0
+ * @example
+ * const templateStorage = new TemplateStorage();
+ * await templateStorage.putTile('0 $Z', '1231,0047,183,593', blob);
+ * const blob = await templateStorage.getTile('0 $Z', '1231,0047,183,593');
+ * await templateStorage.deleteTemplate('0 $Z'); // Deletes every tile of the template
+ */
+export default class TemplateStorage {
+
+  /** The constructor for the {@link TemplateStorage} class.
+   * @param {string} [databaseName='bmTemplateTiles'] - The name of the IndexedDB database
+   * @since 0.83.0
+   */
+  constructor(databaseName = 'bmTemplateTiles') {
+    this.databaseName = databaseName; // Name of the IndexedDB database
+    this.databaseVersion = 1; // Version of the IndexedDB database structure
+    this.storeName = 'tiles'; // Name of the object store. Keys are [idKey, tileKey], values are Blobs
+    this.database = null; // Promise of the open database. Later populated when the database is first used
+  }
+
+  /** Opens the database, creating the object store if it does not exist yet.
+   * The database is only opened once, and reused afterwards.
+   * @returns {Promise<IDBDatabase>} The open database
+   * @since 0.83.0
+   */
+  #open() {
+
+    if (this.database) {return this.database;}
+
+    this.database = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.databaseName, this.databaseVersion);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this.storeName)) {
+          request.result.createObjectStore(this.storeName);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('The template tile database is blocked by another tab.'));
+    }).catch(error => {
+      this.database = null; // Allows opening to be retried later
+      throw error;
+    });
+
+    return this.database;
+  }
+
+  /** Runs one request against the object store.
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request on the object store
+   * @returns {Promise<any>} The result of the request, once the transaction is complete
+   * @since 0.83.0
+   */
+  async #request(mode, makeRequest) {
+
+    const database = await this.#open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, mode);
+      const request = makeRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('The template tile transaction was aborted.'));
+    });
+  }
+
+  /** Stores the image of one template tile.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @param {string} tileKey - The "TTTT,TTTT,PPP,PPP" key of the tile
+   * @param {Blob} blob - The tile image
+   * @since 0.83.0
+   */
+  async putTile(idKey, tileKey, blob) {
+    await this.#request('readwrite', store => store.put(blob, [idKey, tileKey]));
+  }
+
+  /** Retrieves the image of one template tile.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @param {string} tileKey - The "TTTT,TTTT,PPP,PPP" key of the tile
+   * @returns {Promise<Blob|null>} The tile image, or null if it is not stored
+   * @since 0.83.0
+   */
+  async getTile(idKey, tileKey) {
+    return (await this.#request('readonly', store => store.get([idKey, tileKey]))) || null;
+  }
+
+  /** Lists every stored template tile.
+   * @returns {Promise<Array<Array<string>>>} The [idKey, tileKey] key of every stored tile
+   * @since 0.83.0
+   */
+  async getTileKeys() {
+    return (await this.#request('readonly', store => store.getAllKeys())) || [];
+  }
+
+  /** Deletes the image of one template tile.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @param {string} tileKey - The "TTTT,TTTT,PPP,PPP" key of the tile
+   * @since 0.83.0
+   */
+  async deleteTile(idKey, tileKey) {
+    await this.#request('readwrite', store => store.delete([idKey, tileKey]));
+  }
+
+  /** Deletes the images of every tile of a template.
+   * @param {string} idKey - The key of the template (e.g. "0 $Z")
+   * @since 0.83.0
+   */
+  async deleteTemplate(idKey) {
+    // Arrays sort after strings in IndexedDB, so [idKey, []] is after every [idKey, tileKey]
+    await this.#request('readwrite', store => store.delete(IDBKeyRange.bound([idKey], [idKey, []])));
+  }
+}
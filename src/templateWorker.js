@@ -0,0 +1,356 @@
+import { paletteMatching } from "./palette";
+
+/** The tiling and palette mapping of template images.
+ * Everything is inside this function, so it can be converted to a string and run in a Web Worker.
+ * This keeps the page responsive while large templates are processed.
+ * Because of this, it must not use anything from outside of itself (including imports).
+ * The palette matching is passed in instead, and is converted to a string the same way.
+ * @param {Function} paletteMatchingFactory - {@link paletteMatching}
+ * @returns {{createTemplateTiles: Function, createRenderCanvases: Function, renderTileVariants: Function, toStoredPixels: Function, countTilePixels: Function, listen: Function}} The tiling functions
+ * @since 0.83.0
+ * @example
+ * // On the main thread
+ * const { createTemplateTiles } = templateTiling(paletteMatching);
+ * const { tiles, pixelCount } = await createTemplateTiles({ bitmap, coords, tileSize: 1000, shreadSize: 3, palette, colorMetric: 'ciede2000', dither: 'none' });
+ * // In a Web Worker
+ * new Worker(URL.createObjectURL(new Blob([`(${templateTiling})(${paletteMatching}).listen();`])));
+ */
+export function templateTiling(paletteMatchingFactory) {
+
+  const { mapToPalette } = paletteMatchingFactory();
+
+  /** Creates the reusable canvases used to render the display variants of tile regions.
+   * Reusing them avoids re-allocations inside the tile loops.
+   * @param {number} shreadSize - Scale image factor for pixel art enhancement (must be odd)
+   * @returns {{smallCanvas: OffscreenCanvas, smallCtx: OffscreenCanvasRenderingContext2D, largeCanvas: OffscreenCanvas, largeCtx: OffscreenCanvasRenderingContext2D, maskCanvas: OffscreenCanvas}} The canvases and their contexts
+   */
+  const createRenderCanvases = (shreadSize) => {
+
+    const smallCanvas = new OffscreenCanvas(1, 1); // Unscaled working canvas
+    const smallCtx = smallCanvas.getContext('2d', { willReadFrequently: true });
+
+    const largeCanvas = new OffscreenCanvas(1, 1); // Scaled output canvas
+    const largeCtx = largeCanvas.getContext('2d');
+    largeCtx.imageSmoothingEnabled = false; // Nearest neighbor for scaling
+
+    // Prebuild a repeating dot mask to only keep the center pixel of each shreadSize×shreadSize block
+    const maskCanvas = new OffscreenCanvas(shreadSize, shreadSize);
+    const maskCtx = maskCanvas.getContext('2d');
+    maskCtx.clearRect(0, 0, shreadSize, shreadSize);
+    maskCtx.fillStyle = '#ffffff';
+    const center = Math.floor(shreadSize / 2);
+    maskCtx.fillRect(center, center, 1, 1); // Single opaque pixel in the center
+    // Pattern will be created per-draw on the destination context
+
+    return { smallCanvas, smallCtx, largeCanvas, largeCtx, maskCanvas };
+  };
+
+  /** Renders every display variant of one tile region from its unscaled pixels.
+   * @param {Uint8ClampedArray} src - The unscaled RGBA pixels of the tile region
+   * @param {number} width - The width of the tile region in pixels
+   * @param {number} height - The height of the tile region in pixels
+   * @param {Object} canvases - The canvases from `createRenderCanvases`
+   * @param {Object} options - How to render the tile region
+   * @param {number} options.shreadSize - Scale image factor for pixel art enhancement (must be odd)
+   * @param {Array<number[]>} options.palette - The RGB of each palette color, by palette index
+   * @param {string} [options.colorMetric='rgb'] - The color-distance metric used to find the nearest palette color
+   * @param {string} [options.dither='none'] - The dithering mode used when mapping to the palette
+   * @param {number} [options.originX=0] - The absolute X coordinate of the tile region, so dithering patterns line up between regions
+   * @param {number} [options.originY=0] - The absolute Y coordinate of the tile region, so dithering patterns line up between regions
+   * @returns {{original: ImageBitmap, originalFull: ImageBitmap, auto: ImageBitmap, autoFull: ImageBitmap, indexMap: {w: number, h: number, data: Uint8Array}}} The rendered variants, and the palette index map
+   */
+  const renderTileVariants = (src, width, height, canvases, { shreadSize, palette, colorMetric = 'rgb', dither = 'none', originX = 0, originY = 0 }) => {
+
+    // Map every pixel to the palette first, since dithering depends on the neighboring pixels
+    const idxMap = mapToPalette(src, width, height, palette, { colorMetric, dither, originX, originY }); // 0 means no color/transparent
+
+    const { smallCanvas, smallCtx, largeCanvas, largeCtx, maskCanvas } = canvases;
+
+    // Apply #deface and build both original and mapped pixel arrays
+    const orig = new Uint8ClampedArray(src); // copy
+    const mapped = new Uint8ClampedArray(src); // will be palette-mapped
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = (y * width + x) * 4;
+        const r = src[p], g = src[p + 1], b = src[p + 2];
+        const a = src[p + 3];
+        // Treat color #DEFACE specially
+        if (r === 222 && g === 250 && b === 206) {
+          if ((x + y) % 2 === 0) {
+            // translucent black
+            orig[p] = 0; orig[p + 1] = 0; orig[p + 2] = 0; orig[p + 3] = 32;
+            mapped[p] = 0; mapped[p + 1] = 0; mapped[p + 2] = 0; mapped[p + 3] = 32;
+          } else {
+            // transparent
+            orig[p + 3] = 0; mapped[p + 3] = 0;
+          }
+        } else if (a !== 0) {
+          // Non-transparent pixel: force full opacity for solid squares
+          // Recolor mapped with the (dithered) palette index
+          const [nr, ng, nb] = palette[idxMap[y * width + x]];
+          // Keep original RGB in 'orig' but ensure full alpha
+          orig[p] = r; orig[p + 1] = g; orig[p + 2] = b; orig[p + 3] = 255;
+          // Use nearest palette color in 'mapped' with full alpha
+          mapped[p] = nr; mapped[p + 1] = ng; mapped[p + 2] = nb; mapped[p + 3] = 255;
+        }
+      }
+    }
+
+    const origImageData = new ImageData(orig, width, height);
+    const mappedImageData = new ImageData(mapped, width, height);
+
+    const canvasWidth = width * shreadSize;
+    const canvasHeight = height * shreadSize;
+
+    // Helper to draw small -> large with mask and return bitmap
+    const renderToBitmap = (imgData) => {
+      smallCanvas.width = width;
+      smallCanvas.height = height;
+      smallCtx.putImageData(imgData, 0, 0);
+      largeCanvas.width = canvasWidth;
+      largeCanvas.height = canvasHeight;
+      largeCtx.clearRect(0, 0, canvasWidth, canvasHeight);
+      largeCtx.drawImage(smallCanvas, 0, 0, canvasWidth, canvasHeight);
+      largeCtx.save();
+      largeCtx.globalCompositeOperation = 'destination-in';
+      const pattern = largeCtx.createPattern(maskCanvas, 'repeat');
+      largeCtx.fillStyle = pattern;
+      largeCtx.fillRect(0, 0, canvasWidth, canvasHeight);
+      largeCtx.restore();
+      return largeCanvas.transferToImageBitmap();
+    };
+
+    // Helper to draw small -> large WITHOUT mask and return bitmap (solid preview)
+    const renderToBitmapNoMask = (imgData) => {
+      smallCanvas.width = width;
+      smallCanvas.height = height;
+      smallCtx.putImageData(imgData, 0, 0);
+      largeCanvas.width = canvasWidth;
+      largeCanvas.height = canvasHeight;
+      largeCtx.clearRect(0, 0, canvasWidth, canvasHeight);
+      largeCtx.drawImage(smallCanvas, 0, 0, canvasWidth, canvasHeight);
+      return largeCanvas.transferToImageBitmap();
+    };
+
+    // Render all versions
+    return {
+      original: renderToBitmap(origImageData),
+      originalFull: renderToBitmapNoMask(origImageData),
+      auto: renderToBitmap(mappedImageData),
+      autoFull: renderToBitmapNoMask(mappedImageData),
+      indexMap: { w: width, h: height, data: idxMap }
+    };
+  };
+
+  /** Prepares unscaled pixels for storage, so they survive PNG encoding exactly.
+   * Every pixel is made either fully opaque or fully transparent (as they are drawn),
+   * since canvases alter the color of translucent pixels.
+   * @param {Uint8ClampedArray} src - The unscaled RGBA pixels of the tile region
+   * @returns {Uint8ClampedArray} A copy of the pixels with exact colors
+   */
+  const toStoredPixels = (src) => {
+    const pixels = new Uint8ClampedArray(src);
+    for (let p = 0; p < pixels.length; p += 4) {
+      if (pixels[p + 3] === 0) {
+        pixels[p] = 0; pixels[p + 1] = 0; pixels[p + 2] = 0;
+      } else {
+        pixels[p + 3] = 255;
+      }
+    }
+    return pixels;
+  };
+
+  /** Counts the colored pixels of a tile region, in total and by palette color.
+   * Transparent and #DEFACE pixels are not counted, since they are not mapped to the palette.
+   * @param {Uint8Array} idxMap - The palette index of every pixel. 0 means the pixel is not part of the template
+   * @returns {{pixels: number, colors: Object<string, number>}} The total, and the count of each palette index that appears. The names are quoted, since the counts are stored
+   */
+  const countTilePixels = (idxMap) => {
+    const counts = { "pixels": 0, "colors": {} };
+    for (let i = 0; i < idxMap.length; i++) {
+      const index = idxMap[i];
+      if (!index) {continue;}
+      counts["pixels"]++;
+      counts["colors"][index] = (counts["colors"][index] || 0) + 1;
+    }
+    return counts;
+  };
+
+  // Counts how many tile regions a span of pixels is split into
+  const countRegions = (start, length, tileSize) => {
+    let regions = 0;
+    for (let pixel = start; pixel < start + length; regions++) {
+      pixel += Math.min(tileSize - (pixel % tileSize), start + length - pixel);
+    }
+    return regions;
+  };
+
+  /** Splits a template image into tile regions, and renders every display variant of each region.
+   * @param {Object} request - What to process
+   * @param {ImageBitmap} request.bitmap - The template image
+   * @param {Array<number>} request.coords - The coordinates of the top left corner as (tileX, tileY, pixelX, pixelY)
+   * @param {number} request.tileSize - The size of a tile in pixels (assumes square tiles)
+   * @param {number} request.shreadSize - Scale image factor for pixel art enhancement (must be odd)
+   * @param {Array<number[]>} request.palette - The RGB of each palette color, by palette index
+   * @param {string} [request.colorMetric='rgb'] - The color-distance metric used to find the nearest palette color
+   * @param {string} [request.dither='none'] - The dithering mode used when mapping to the palette
+   * @param {function({tilesDone: number, tileCount: number}): void} [onProgress] - Called after each tile region
+   * @param {AbortSignal} [signal] - Cancels the processing between tile regions
+   * @returns {Promise<{tiles: Object<string, Object>, pixelCount: number}>} The variants, index map, pixel counts and storable PNG of each tile region, keyed by "TTTT,TTTT,PPP,PPP", and the number of colored pixels
+   */
+  const createTemplateTiles = async ({ bitmap, coords, tileSize, shreadSize, palette, colorMetric, dither }, onProgress, signal) => {
+
+    const imageWidth = bitmap.width;
+    const imageHeight = bitmap.height;
+
+    let pixelCount = 0; // Colored pixels only. Transparent and #DEFACE pixels are not placed
+
+    const tiles = {};
+    const tileCount = countRegions(coords[2], imageWidth, tileSize) * countRegions(coords[3], imageHeight, tileSize);
+    let tilesDone = 0;
+
+    const canvases = createRenderCanvases(shreadSize);
+    const { smallCanvas, smallCtx } = canvases;
+
+    // For every tile...
+    for (let pixelY = coords[3]; pixelY < imageHeight + coords[3]; ) {
+
+      // Draws the partial tile first, if any
+      // This calculates the size based on which is smaller:
+      // A. The top left corner of the current tile to the bottom right corner of the current tile
+      // B. The top left corner of the current tile to the bottom right corner of the image
+      const drawSizeY = Math.min(tileSize - (pixelY % tileSize), imageHeight - (pixelY - coords[3]));
+
+      for (let pixelX = coords[2]; pixelX < imageWidth + coords[2];) {
+
+        if (signal?.aborted) {throw new DOMException('Template creation was cancelled.', 'AbortError');}
+
+        const drawSizeX = Math.min(tileSize - (pixelX % tileSize), imageWidth - (pixelX - coords[2]));
+
+        // Step 1: draw the original-size sub-image into a small working canvas
+        smallCanvas.width = drawSizeX;
+        smallCanvas.height = drawSizeY;
+        smallCtx.clearRect(0, 0, drawSizeX, drawSizeY);
+        smallCtx.drawImage(bitmap, pixelX - coords[2], pixelY - coords[3], drawSizeX, drawSizeY, 0, 0, drawSizeX, drawSizeY);
+
+        const src = smallCtx.getImageData(0, 0, drawSizeX, drawSizeY).data;
+
+        // Creates the "0000,0000,000,000" key name
+        const tileName = `${(coords[0] + Math.floor(pixelX / tileSize)).toString().padStart(4, '0')},`
+          + `${(coords[1] + Math.floor(pixelY / tileSize)).toString().padStart(4, '0')},`
+          + `${(pixelX % tileSize).toString().padStart(3, '0')},${(pixelY % tileSize).toString().padStart(3, '0')}`;
+
+        // Step 2: render every version of this tile region
+        const variants = renderTileVariants(src, drawSizeX, drawSizeY, canvases, {
+          shreadSize, palette, colorMetric, dither,
+          originX: coords[0] * tileSize + pixelX,
+          originY: coords[1] * tileSize + pixelY,
+        });
+
+        // Step 3: keep the unscaled pixels as a PNG blob for storage. Every display variant is regenerated from it on load
+        smallCanvas.width = drawSizeX;
+        smallCanvas.height = drawSizeY;
+        smallCtx.putImageData(new ImageData(toStoredPixels(src), drawSizeX, drawSizeY), 0, 0);
+        variants.blob = await smallCanvas.convertToBlob({ type: 'image/png' });
+
+        variants.counts = countTilePixels(variants.indexMap.data);
+        pixelCount += variants.counts["pixels"];
+
+        tiles[tileName] = variants;
+        onProgress?.({ tilesDone: ++tilesDone, tileCount });
+
+        await new Promise(resolve => setTimeout(resolve, 0)); // Lets other tasks (like a cancel click) run between tile regions
+
+        pixelX += drawSizeX;
+      }
+
+      pixelY += drawSizeY;
+    }
+
+    return { tiles, pixelCount };
+  };
+
+  // Answers requests to `createTemplateTiles` when running as a Web Worker
+  const listen = () => {
+    self.onmessage = async ({ data: request }) => {
+      try {
+        const result = await createTemplateTiles(request, progress => self.postMessage({ type: 'progress', ...progress }));
+        const transfer = Object.values(result.tiles).flatMap(tile => [tile.original, tile.originalFull, tile.auto, tile.autoFull, tile.indexMap.data.buffer]);
+        self.postMessage({ type: 'done', result }, transfer);
+      } catch (error) {
+        self.postMessage({ type: 'error', message: error?.message || String(error) });
+      }
+    };
+  };
+
+  return { createTemplateTiles, createRenderCanvases, renderTileVariants, toStoredPixels, countTilePixels, listen };
+}
+
+/** Runs {@link templateTiling}'s `createTemplateTiles` in a Web Worker.
+ * The worker runs {@link templateTiling} and {@link paletteMatching} from their source code.
+ * Cancelling terminates the worker immediately.
+ * @param {Object} request - The request for `createTemplateTiles`
+ * @param {function({tilesDone: number, tileCount: number}): void} [onProgress] - Called after each tile region
+ * @param {AbortSignal} [signal] - Cancels the processing
+ * @returns {Promise<{tiles: Object<string, Object>, pixelCount: number}>} The result of `createTemplateTiles`
+ * @throws {DOMException} An "AbortError" if cancelled
+ * @throws {Error} A "WorkerUnavailableError" if the worker can not be started (e.g. blocked by the Content Security Policy).
+ * Other errors come from the processing (e.g. no palette color is enabled), and would happen on the main thread as well
+ * @since 0.83.0
+ */
+export function createTemplateTilesInWorker(request, onProgress, signal) {
+
+  return new Promise((resolve, reject) => {
+
+    if (signal?.aborted) {reject(new DOMException('Template creation was cancelled.', 'AbortError')); return;}
+
+    const unavailable = (error, message) => {
+      const unavailableError = new Error(error?.message || message, { cause: error });
+      unavailableError.name = 'WorkerUnavailableError';
+      return unavailableError;
+    };
+
+    const url = URL.createObjectURL(new Blob([`(${templateTiling})(${paletteMatching}).listen();`], { type: 'text/javascript' }));
+    let worker;
+    try {
+      worker = new Worker(url);
+    } catch (error) {
+      URL.revokeObjectURL(url);
+      reject(unavailable(error, 'The template worker could not be created.'));
+      return;
+    }
+    let isStarted = false; // The worker answered, so its errors come from the processing
+
+    const finish = () => {
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    const onAbort = () => {
+      finish();
+      reject(new DOMException('Template creation was cancelled.', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort);
+
+    worker.onmessage = ({ data }) => {
+      isStarted = true;
+      if (data?.type === 'progress') {onProgress?.(data); return;}
+      finish();
+      if (data?.type === 'done') {resolve(data.result);} else {reject(new Error(data?.message || 'The template worker failed.'));}
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      finish();
+      reject(isStarted ? new Error(event?.message || 'The template worker failed.') : unavailable(event, 'The template worker could not be started.'));
+    };
+
+    try {
+      worker.postMessage(request);
+    } catch (error) {
+      finish();
+      reject(unavailable(error, 'The template could not be sent to the worker.'));
+    }
+  });
+}
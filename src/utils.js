@@ -100,6 +100,66 @@ export function numberToEncoded(number, encoding) {
   return result; // The final encoded string
 }
 
+/** Decodes a string made by {@link numberToEncoded} back into the number.
+ * @param {string} encoded - The encoded string
+ * @param {string} encoding - The characters that were used when encoding
+ * @since 0.83.0
+ * @returns {number} The decoded number, or NaN if the string contains a character that is not in the encoding
+ * @example
+ * const encode = '012abcABC'; // Base 9
+ * console.log(encodedToNumber('1A', encode)); // 15
+ * console.log(encodedToNumber('1BCaA', encode)); // 12345
+ */
+export function encodedToNumber(encoded, encoding) {
+
+  const base = encoding.length; // The number of characters used, which determines the base
+  let number = 0;
+
+  for (const character of String(encoded)) {
+    const digit = encoding.indexOf(character);
+    if (digit < 0) {return NaN;} // Not encoded with this encoding
+    number = number * base + digit;
+  }
+
+  return number;
+}
+
+/** Hashes data with SHA-256.
+ * @param {ArrayBuffer|Uint8Array} data - The data to hash
+ * @returns {Promise<string>} The hash as 64 lowercase hexadecimal characters
+ * @since 0.83.0
+ * @example
+ * console.log(await sha256Hex(new TextEncoder().encode('abc'))); // ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad
+ */
+export async function sha256Hex(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/** Compares two version strings (e.g. "1.2.0") part by part.
+ * Missing parts are treated as 0, so "1.2" equals "1.2.0".
+ * @param {string} versionA - The first version
+ * @param {string} versionB - The second version
+ * @returns {number} Negative if A is older than B, positive if A is newer than B, 0 if they are equal
+ * @since 0.83.0
+ * @example
+ * console.log(compareVersions('1.0.0', '1.1.0')); // -1
+ * console.log(compareVersions('2.0', '1.9.9')); // 1
+ * console.log(compareVersions('1.2', '1.2.0')); // 0
+ */
+export function compareVersions(versionA, versionB) {
+
+  const partsA = String(versionA).split('.').map(Number);
+  const partsB = String(versionB).split('.').map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) {return Math.sign(difference);}
+  }
+
+  return 0;
+}
+
 /** Converts a Uint8 array to base64 using the browser's built-in binary to ASCII function
  * @param {Uint8Array} uint8 - The Uint8Array to convert
  * @returns {Uint8Array} The base64 encoded Uint8Array
@@ -127,6 +187,26 @@ export function base64ToUint8(base64) {
   return array;
 }
 
+/** Converts a Uint8 array to base64url, the URL and file name safe variant of base 64 without padding
+ * @param {Uint8Array} uint8 - The Uint8Array to convert
+ * @returns {string} The base64url encoded text
+ * @since 0.83.0
+ */
+export function uint8ToBase64Url(uint8) {
+  return uint8ToBase64(uint8).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/** Decodes base64url (or plain base 64) text
+ * @param {string} base64Url - The base64url encoded text
+ * @returns {Uint8Array} The decoded Uint8Array
+ * @throws {Error} If the text is not base 64
+ * @since 0.83.0
+ */
+export function base64UrlToUint8(base64Url) {
+  const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+  return base64ToUint8(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+}
+
 /** The color palette used by wplace.live
  * @since 0.78.0
  * @examples
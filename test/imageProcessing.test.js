@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSource } from './loadSource.js';
+
+const { cropPixels, resizePixels, flipPixels, rotatePixels, transformPixels, isPreprocessing, defaultPreprocessOptions } = await loadSource('imageProcessing.js');
+
+/** Makes an image where the red channel of every pixel is its number, counted row by row. */
+function makeImage(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {data[i * 4] = i + 1; data[i * 4 + 3] = 255;}
+  return { width, height, data };
+}
+
+/** Reads the pixel numbers of an image (see makeImage), row by row. */
+function pixelNumbers({ width, height, data }) {
+  return Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) => data[(y * width + x) * 4]));
+}
+
+test('crop keeps the rectangle, clamped to the image', () => {
+  const image = cropPixels(makeImage(3, 2), { x: 1, y: 0, width: 5, height: 1 });
+  assert.equal(image.width, 2);
+  assert.equal(image.height, 1);
+  assert.deepEqual(pixelNumbers(image), [[2, 3]]);
+});
+
+test('rotate turns the image clockwise and swaps its size', () => {
+  const image = makeImage(3, 2); // [[1, 2, 3], [4, 5, 6]]
+  assert.deepEqual(pixelNumbers(rotatePixels(image, 90)), [[4, 1], [5, 2], [6, 3]]);
+  assert.deepEqual(pixelNumbers(rotatePixels(image, 180)), [[6, 5, 4], [3, 2, 1]]);
+  assert.deepEqual(pixelNumbers(rotatePixels(image, 270)), [[3, 6], [2, 5], [1, 4]]);
+  assert.deepEqual(pixelNumbers(rotatePixels(image, -90)), pixelNumbers(rotatePixels(image, 270)));
+  assert.equal(rotatePixels(image, 360), image);
+});
+
+test('flip mirrors the image', () => {
+  const image = makeImage(3, 2);
+  assert.deepEqual(pixelNumbers(flipPixels(image, true, false)), [[3, 2, 1], [6, 5, 4]]);
+  assert.deepEqual(pixelNumbers(flipPixels(image, false, true)), [[4, 5, 6], [1, 2, 3]]);
+  assert.deepEqual(pixelNumbers(flipPixels(image, true, true)), [[6, 5, 4], [3, 2, 1]]);
+});
+
+test('nearest-neighbor resize repeats and skips pixels', () => {
+  const enlarged = resizePixels(makeImage(2, 1), 4, 2);
+  assert.equal(enlarged.width, 4);
+  assert.equal(enlarged.height, 2);
+  assert.deepEqual(pixelNumbers(enlarged), [[1, 1, 2, 2], [1, 1, 2, 2]]);
+  assert.deepEqual(pixelNumbers(resizePixels(makeImage(4, 1), 2, 1)), [[2, 4]]);
+});
+
+test('area-average resize blends pixels and drops mostly transparent ones', () => {
+  const image = { width: 4, height: 1, data: new Uint8ClampedArray([
+    100, 0, 0, 255, 200, 0, 0, 255, // Two opaque pixels
+    50, 0, 0, 255, 0, 0, 0, 0, // One opaque and one transparent pixel, which is not opaque enough to keep
+  ]) };
+  const { width, height, data } = resizePixels(image, 2, 1, 'average');
+  assert.equal(width, 2);
+  assert.equal(height, 1);
+  assert.deepEqual(Array.from(data), [150, 0, 0, 255, 0, 0, 0, 0]);
+
+  const mostlyOpaque = resizePixels({ width: 3, height: 1, data: new Uint8ClampedArray([30, 0, 0, 255, 60, 0, 0, 255, 0, 0, 0, 0]) }, 1, 1, 'average');
+  assert.deepEqual(Array.from(mostlyOpaque.data), [45, 0, 0, 255]);
+});
+
+test('transform sizes the rotated image, and keeps the aspect ratio', () => {
+  const image = transformPixels(makeImage(4, 2), { rotation: 90, width: 1 });
+  assert.equal(image.width, 1);
+  assert.equal(image.height, 2);
+
+  const flipped = transformPixels(makeImage(3, 2), { crop: { x: 0, y: 0, width: 2, height: 2 }, flipX: true, rotation: 180 });
+  assert.deepEqual(pixelNumbers(flipped), [[4, 5], [1, 2]]);
+});
+
+test('only options that change the image count as pre-processing', () => {
+  assert.equal(isPreprocessing(defaultPreprocessOptions), false);
+  assert.equal(isPreprocessing({ ...defaultPreprocessOptions, rotation: 360 }), false);
+  assert.equal(isPreprocessing({ ...defaultPreprocessOptions, rotation: 90 }), true);
+  assert.equal(isPreprocessing({ ...defaultPreprocessOptions, flipY: true }), true);
+});
@@ -0,0 +1,129 @@
+/** Loads source modules for the tests.
+ * The source imports its modules without file extensions (the way esbuild resolves them), which Node can not import directly.
+ * So the modules are bundled by esbuild first, and the bundle is imported.
+ * The bundle can also be minified the way build/build.js minifies the userscript, which renames every property that is not quoted.
+ * @since 0.83.0
+ */
+
+// ES Module imports
+import esbuild from 'esbuild';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+// CommonJS imports (require)
+const terser = require('terser');
+
+const sourceDirectory = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src');
+
+/** Bundles a source module and imports it.
+ * @param {string} modulePath - The path of the module, relative to src/. For example, "imageProcessing.js"
+ * @param {Object} [options={}] - See {@link loadSources}
+ * @returns {Promise<Object>} The exports of the module
+ * @since 0.83.0
+ */
+export async function loadSource(modulePath, options = {}) {
+  return (await loadSources([modulePath], options))[0];
+}
+
+/** Bundles source modules together and imports them.
+ * The modules share one bundle, so a class one module imports is the same class another module exports.
+ * @param {Array<string>} modulePaths - The paths of the modules, relative to src/
+ * @param {Object} [options={}] - Optional parameters
+ * @param {boolean} [options.minify=false] - Minifies the bundle like the userscript is minified
+ * @returns {Promise<Array<Object>>} The exports of each module
+ * @since 0.83.0
+ */
+export async function loadSources(modulePaths, { minify = false } = {}) {
+
+  const result = await esbuild.build({
+    stdin: {
+      contents: modulePaths.map((modulePath, index) => `export * as module${index} from './${modulePath}';`).join('\n'),
+      resolveDir: sourceDirectory,
+    },
+    bundle: true,
+    format: 'esm',
+    platform: 'neutral',
+    target: 'es2022',
+    write: false,
+    logLevel: 'silent',
+  });
+
+  let bundle = await importCode(result.outputFiles[0].text);
+  if (minify) {
+    // The exports are properties of the bundle, so they are kept. The userscript calls them directly instead
+    const exportNames = modulePaths.flatMap((_, index) => Object.keys(bundle[`module${index}`]));
+    bundle = await importCode((await minifyLikeUserscript(result.outputFiles[0].text, { module: true, reserved: exportNames })).code);
+  }
+
+  return modulePaths.map((_, index) => bundle[`module${index}`]);
+}
+
+/** Imports JavaScript code as an ES module.
+ * The code is imported from a temporary file rather than a data URL, since stack traces would repeat a data URL in full.
+ * @param {string} code - The code
+ * @returns {Promise<Object>} The exports of the code
+ * @since 0.83.0
+ */
+async function importCode(code) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bm-test-'));
+  try {
+    const file = path.join(directory, 'bundle.mjs');
+    fs.writeFileSync(file, code);
+    return await import(pathToFileURL(file).href);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+/** Bundles and minifies the whole userscript, like build/build.js does, and lists the properties it renamed.
+ * @returns {Promise<Set<string>>} The names of the renamed properties
+ * @since 0.83.0
+ */
+export async function getRenamedProperties() {
+
+  const result = await esbuild.build({
+    entryPoints: [path.join(sourceDirectory, 'main.js')],
+    bundle: true,
+    format: 'iife',
+    target: 'es2020',
+    platform: 'browser',
+    write: false,
+    logLevel: 'silent',
+  });
+
+  const { nameCache } = await minifyLikeUserscript(result.outputFiles[0].text);
+  return new Set(Object.keys(nameCache.props?.props || {}).map(name => name.slice(1))); // Every name starts with "$"
+}
+
+/** Minifies code with the terser options of build/build.js.
+ * @param {string} code - The code
+ * @param {Object} [options={}] - Optional parameters
+ * @param {boolean} [options.module=false] - If the code is an ES module
+ * @param {Array<string>} [options.reserved=[]] - Properties that are not renamed
+ * @returns {Promise<{code: string, nameCache: Object}>} The minified code, and the names terser renamed
+ * @since 0.83.0
+ */
+async function minifyLikeUserscript(code, { module = false, reserved = [] } = {}) {
+
+  const nameCache = {};
+  const result = await terser.minify(code, {
+    module: module,
+    nameCache: nameCache,
+    mangle: {
+      keep_classnames: false,
+      keep_fnames: false,
+      reserved: [],
+      properties: {
+        keep_quoted: true, // Quoted names are never renamed, so stored and imported JSON must be read with quoted names
+        reserved: reserved
+      },
+    },
+    compress: { passes: 2 },
+  });
+
+  return { code: result.code, nameCache };
+}
@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSource } from './loadSource.js';
+
+const { paletteMatching } = await loadSource('palette.js');
+const { getPaletteMatcher, mapToPalette, ditherModes } = paletteMatching();
+
+const palette = [[0, 0, 0], [0, 0, 0], [255, 255, 255], [237, 28, 36]]; // Transparent, black, white, red
+
+/** Makes an opaque image of one color. */
+function makeImage(width, height, [r, g, b]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0; p < data.length; p += 4) {data.set([r, g, b, 255], p);}
+  return data;
+}
+
+test('colors are matched to the nearest palette color, but never to Transparent', () => {
+  const matchColor = getPaletteMatcher(palette);
+  assert.equal(matchColor(10, 10, 10), 1);
+  assert.equal(matchColor(250, 20, 30), 3);
+  assert.equal(getPaletteMatcher([[0, 0, 0], null, [255, 255, 255], null])(10, 10, 10), 2);
+});
+
+test('a palette without a usable color is rejected', () => {
+  assert.throws(() => getPaletteMatcher([[0, 0, 0], null, null, null]), /No palette color is enabled/);
+  for (const dither of Object.keys(ditherModes)) {
+    assert.throws(() => mapToPalette(makeImage(2, 2, [90, 90, 90]), 2, 2, [null, null, null], { dither }), /No palette color is enabled/);
+  }
+});
+
+test('dithering only uses usable colors', () => {
+  const indices = mapToPalette(makeImage(4, 4, [128, 128, 128]), 4, 4, [null, [0, 0, 0], [255, 255, 255], null], { dither: 'floydSteinberg' });
+  assert.ok(indices.every(index => index === 1 || index === 2));
+  assert.ok(indices.includes(1) && indices.includes(2));
+});
@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getRenamedProperties } from './loadSource.js';
+
+// The production build renames every property whose name is never quoted.
+// Names in stored or imported JSON must keep their names, or the JSON can not be read by the next build, or by anyone else
+const renamedProperties = await getRenamedProperties();
+
+/** The names in JSON that the userscript stores, exports or imports, by where they are used. */
+const jsonNames = {
+  'osu!place template files': ['templates', 'name', 'sources', 'source', 'x', 'y', 'frameWidth', 'frameHeight'],
+  'image sidecar files': ['image', 'file', 'src', 'url', 'name', 'coords', 'x', 'y', 'enabled'],
+  'Blue Marble template files': ['whoami', 'templates'],
+  'the pixel counts of stored templates': ['tileCounts', 'pixels', 'colors'],
+  'the styles of stored templates': ['style', 'opacityZoomedOut', 'opacityZoomedIn', 'tint', 'blendMode'],
+  'the draw order of stored templates': ['sortID'],
+  'the history of the templates': ['undo', 'redo', 'label', 'changes', 'before', 'after', 'partial'],
+  'the tile images inlined in template files': ['tiles'],
+  'the notes of stored templates': ['notes'],
+  'the groups of stored templates': ['group'],
+  'the stored palette colors': ['enabledColors', 'source'],
+};
+
+for (const [usage, names] of Object.entries(jsonNames)) {
+  test(`the names in ${usage} are kept by the production build`, () => {
+    assert.deepEqual(names.filter(name => renamedProperties.has(name)), []);
+  });
+}
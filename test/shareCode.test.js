@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSource } from './loadSource.js';
+
+const { encodeShareCode, decodeShareCode, shareCodePrefix } = await loadSource('shareCode.js');
+
+test('a template survives a share code', async () => {
+  const indexMap = new Uint8Array(300 * 200);
+  for (let i = 0; i < indexMap.length; i++) {indexMap[i] = (i % 7 === 0) ? 0 : (i % 300 < 150 ? 5 : 31);}
+  const template = { name: 'Logo 🌍', coords: [1231, 47, 183, 593], width: 300, height: 200, indexMap };
+
+  const code = await encodeShareCode(template);
+  assert.ok(code.startsWith(shareCodePrefix));
+  assert.match(code.slice(shareCodePrefix.length), /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(await decodeShareCode(code), template);
+
+  // Chat programs can break long codes into lines
+  assert.deepEqual(await decodeShareCode(`  ${code.slice(0, 10)}\n${code.slice(10)} `), template);
+});
+
+test('the example in the documentation decodes', async () => {
+  const template = await decodeShareCode('BM1.Y_HJT88_z6m_nfEiCxMjEysA');
+  assert.deepEqual(template, { name: 'Logo', coords: [1231, 47, 183, 593], width: 2, height: 1, indexMap: new Uint8Array([5, 5]) });
+});
+
+test('text that is not a share code is rejected', async () => {
+  await assert.rejects(decodeShareCode('hello'), /This is not a share code/);
+  await assert.rejects(decodeShareCode(''), /This is not a share code/);
+  await assert.rejects(decodeShareCode('BM2.abc'), /made by a newer version/);
+});
+
+test('damaged share codes are rejected', async () => {
+  const code = await encodeShareCode({ name: 'Logo', coords: [1, 2, 3, 4], width: 40, height: 30, indexMap: new Uint8Array(1200).fill(9) });
+  await assert.rejects(decodeShareCode(code.slice(0, -6)), /damaged/);
+  await assert.rejects(decodeShareCode(`${shareCodePrefix}!!!!`), /damaged/);
+  await assert.rejects(decodeShareCode(shareCodePrefix), /damaged/);
+
+  // Fewer pixels than the size says
+  const short = await encodeShareCode({ name: 'Logo', coords: [1, 2, 3, 4], width: 40, height: 30, indexMap: new Uint8Array(1000).fill(9) });
+  await assert.rejects(decodeShareCode(short), /damaged/);
+});
+
+test('share codes of templates that are too large are rejected', async () => {
+  const code = await encodeShareCode({ name: 'Huge', coords: [0, 0, 0, 0], width: 5000, height: 5000, indexMap: new Uint8Array(0) });
+  await assert.rejects(decodeShareCode(code), /too large/);
+});
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTemplateManager, readTemplatePixels } from './templateManagerStubs.js';
+
+test('undoing and redoing a move restores the pixels of both positions', async () => {
+
+  const { templateManager, errors } = createTemplateManager();
+  const template = await templateManager.createTemplate(new Blob(['abc']), 'Row', [0, 0, 998, 0]);
+  const { idKey } = template;
+  const pixelsAt = async () => ({ coords: templateManager.templatesJSON.templates[idKey].coords, pixels: (await readTemplatePixels(templateManager)).Row });
+
+  // The row crosses into the next tile both before and after the move, so both positions have a tile with the same key
+  assert.deepEqual(await pixelsAt(), { coords: '0, 0, 998, 0', pixels: 'abc' });
+  await templateManager.moveTemplate(idKey, [0, 0, 999, 0]);
+  assert.deepEqual(await pixelsAt(), { coords: '0, 0, 999, 0', pixels: 'abc' });
+
+  for (let i = 0; i < 2; i++) {
+    await templateManager.undo();
+    assert.deepEqual(await pixelsAt(), { coords: '0, 0, 998, 0', pixels: 'abc' });
+    await templateManager.redo();
+    assert.deepEqual(await pixelsAt(), { coords: '0, 0, 999, 0', pixels: 'abc' });
+  }
+
+  // The moved template is tiled again from its own tiles, not from the ones before the move
+  await templateManager.moveTemplate(idKey, [0, 0, 997, 0]);
+  assert.deepEqual(await pixelsAt(), { coords: '0, 0, 997, 0', pixels: 'abc' });
+  await templateManager.undo();
+  await templateManager.undo();
+  assert.deepEqual(await pixelsAt(), { coords: '0, 0, 998, 0', pixels: 'abc' });
+  assert.deepEqual(errors, []);
+});
+
+test('tiles are deleted once no change that refers to them can be undone', async () => {
+
+  const { templateManager } = createTemplateManager();
+  templateManager.historyLimit = 2;
+  const { idKey } = await templateManager.createTemplate(new Blob(['abc']), 'Row', [0, 0, 998, 0]);
+  for (const pixelX of [999, 997, 996, 995]) {await templateManager.moveTemplate(idKey, [0, 0, pixelX, 0]);}
+
+  // Only the tiles of the last two moves can be reached
+  const storedTiles = (await templateManager.templateStorage.getTileKeys()).map(([, tileKey]) => tileKey).sort();
+  assert.deepEqual(storedTiles, ['0000,0000,995,000', '0000,0000,996,000', '0000,0000,997,000']);
+
+  await templateManager.undo();
+  await templateManager.undo();
+  assert.deepEqual(await readTemplatePixels(templateManager), { Row: 'abc' });
+  assert.equal(templateManager.templatesJSON.templates[idKey].coords, '0, 0, 997, 0');
+});
+
+test('undoing the removal of a template restores its pixels', async () => {
+
+  const { templateManager } = createTemplateManager();
+  const { idKey } = await templateManager.createTemplate(new Blob(['abc']), 'Row', [0, 0, 998, 0]);
+  await templateManager.moveTemplate(idKey, [0, 0, 999, 0]);
+  await templateManager.removeTemplates([idKey]);
+  assert.deepEqual(await readTemplatePixels(templateManager), {});
+
+  await templateManager.undo();
+  assert.deepEqual(await readTemplatePixels(templateManager), { Row: 'abc' });
+  await templateManager.undo();
+  assert.deepEqual(await readTemplatePixels(templateManager), { Row: 'abc' });
+  assert.equal(templateManager.templatesJSON.templates[idKey].coords, '0, 0, 998, 0');
+});
+
+test('an update from a subscription is undone and redone in order with the other changes', async () => {
+
+  let file = 'abc';
+  const { templateManager } = createTemplateManager({ fetchFile: async () => ({ bytes: new TextEncoder().encode(file).buffer, contentType: 'image/png' }) });
+  await templateManager.subscribeTemplate('https://example.com/row.png', { name: 'Row', coords: [0, 0, 998, 0] });
+
+  file = 'xyz';
+  await templateManager.refreshSubscriptions({ force: true });
+  assert.deepEqual(await readTemplatePixels(templateManager), { Row: 'xyz' });
+  assert.deepEqual(templateManager.getHistoryLabels(), { undo: 'Update "Row"', redo: null });
+
+  await templateManager.undo();
+  assert.deepEqual(await readTemplatePixels(templateManager), { Row: 'abc' });
+  await templateManager.undo();
+  assert.deepEqual(await readTemplatePixels(templateManager), {});
+  await templateManager.redo();
+  assert.deepEqual(await readTemplatePixels(templateManager), { Row: 'abc' });
+  await templateManager.redo();
+  assert.deepEqual(await readTemplatePixels(templateManager), { Row: 'xyz' });
+
+  // The update replaces the changes that were undone before it
+  await templateManager.undo();
+  file = 'def';
+  await templateManager.refreshSubscriptions({ force: true });
+  assert.deepEqual(await readTemplatePixels(templateManager), { Row: 'def' });
+  assert.equal(await templateManager.redo(), null);
+  assert.deepEqual(await readTemplatePixels(templateManager), { Row: 'def' });
+});
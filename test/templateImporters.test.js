@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSource } from './loadSource.js';
+
+const {
+  pixelToCoords, parseCoords, parseOSUTemplates, parseImageSidecar,
+  templateImporters, registerTemplateImporter, findTemplateImporter,
+} = await loadSource('templateImporters.js');
+
+const context = { whoami: 'BlueMarble', tileSize: 1000 };
+
+test('canvas positions are converted to tile and pixel coordinates', () => {
+  assert.deepEqual(pixelToCoords(1231183, 47593), [1231, 47, 183, 593]);
+  assert.equal(pixelToCoords(-1, 5), null);
+  assert.equal(pixelToCoords(2048000, 5), null);
+  assert.equal(pixelToCoords(1.5, 5), null);
+  assert.deepEqual(parseCoords('1231, 47, 183, 593'), [1231, 47, 183, 593]);
+  assert.equal(parseCoords('1231, 47, 1000, 593'), null);
+  assert.equal(parseCoords([1, 2, 3]), null);
+});
+
+test('Blue Marble files are kept as they are', () => {
+  const json = { whoami: 'BlueMarble', schemaVersion: '1.4.0', templates: { '0 $Z': { name: 'Logo', coords: '1, 2, 3, 4', tiles: {} } } };
+  const importer = findTemplateImporter(json, context);
+  assert.equal(importer.name, 'Blue Marble');
+  assert.deepEqual(importer.parse(json, context), { json, images: [], skipped: [] });
+
+  // Templates must be an object of templates, not a list
+  assert.equal(findTemplateImporter({ whoami: 'BlueMarble', templates: null }, context), null);
+  assert.equal(findTemplateImporter({ whoami: 'BlueMarble', templates: 'Logo' }, context), null);
+});
+
+test('osu!place files become images, and templates that can not be placed are skipped', () => {
+  const json = { faction: 'osu!', templates: [
+    { name: 'Logo', sources: ['https://example.com/logo.png'], x: 1231183, y: 47593 },
+    { name: 'Logo', sources: ['https://example.com/logo2.png'], x: 0, y: 0, frameWidth: 10, frameHeight: 20 },
+    { name: 'Lost', sources: [], x: 0, y: 0 },
+    { name: 'Outside', sources: ['https://example.com/outside.png'], x: -5, y: 0 },
+  ] };
+  const importer = findTemplateImporter(json, context);
+  assert.equal(importer.name, 'osu!place');
+
+  const { json: blueMarbleJSON, images, skipped } = importer.parse(json, context);
+  assert.equal(blueMarbleJSON, null);
+  assert.deepEqual(images, [
+    { key: 'Logo', name: 'Logo', coords: [1231, 47, 183, 593], source: 'https://example.com/logo.png', crop: null, enabled: true },
+    { key: 'Logo #2', name: 'Logo', coords: [0, 0, 0, 0], source: 'https://example.com/logo2.png', crop: { x: 0, y: 0, width: 10, height: 20 }, enabled: true },
+  ]);
+  assert.deepEqual(skipped, [{ name: 'Lost', reason: 'no image' }, { name: 'Outside', reason: 'not on the canvas' }]);
+});
+
+test('malformed osu!place templates are skipped, not thrown', () => {
+  const { images, skipped } = parseOSUTemplates({ templates: [null, { x: 'left' }] }, context);
+  assert.deepEqual(images, []);
+  assert.deepEqual(skipped, [{ name: 'Template 1', reason: 'no image' }, { name: 'Template 2', reason: 'no image' }]);
+});
+
+test('image sidecar files become one image', () => {
+  const json = { image: 'images/my%20logo.png', coords: [1231, 47, 183, 593] };
+  const importer = findTemplateImporter(json, context);
+  assert.equal(importer.name, 'Image with coordinates');
+  assert.deepEqual(importer.parse(json, context).images, [
+    { key: 'my logo', name: 'my logo', coords: [1231, 47, 183, 593], source: 'images/my%20logo.png', crop: null, enabled: true },
+  ]);
+
+  const { images } = parseImageSidecar({ url: 'https://example.com/a.png?v=2', x: 1231183, y: 47593, name: 'A', enabled: false }, context);
+  assert.deepEqual(images, [{ key: 'A', name: 'A', coords: [1231, 47, 183, 593], source: 'https://example.com/a.png?v=2', crop: null, enabled: false }]);
+});
+
+test('malformed image sidecar files are rejected', () => {
+  assert.deepEqual(parseImageSidecar({ image: 'logo.png', coords: '1, 2, 3' }, context), {
+    json: null, images: [], skipped: [{ name: 'logo', reason: 'malformed coordinates' }],
+  });
+  assert.throws(() => parseImageSidecar({ image: 'logo%.png', coords: [1, 2, 3, 4] }, context), /not a template file in a known format/);
+  assert.equal(findTemplateImporter({ image: 'logo.png' }, context), null); // No position
+});
+
+test('files in no known format are not detected', () => {
+  for (const json of [null, [], 'text', 5, {}, { templates: 5 }, { whoami: 'SomethingElse', templates: {} }]) {
+    assert.equal(findTemplateImporter(json, context), null);
+  }
+});
+
+test('formats are detected in the order they are registered', () => {
+  assert.deepEqual(templateImporters.map(importer => importer.name), ['Blue Marble', 'osu!place', 'Image with coordinates']);
+
+  assert.throws(() => registerTemplateImporter({ name: 'Broken' }), /needs a detect and a parse function/);
+
+  const catchAll = { name: 'Catch-all', detect: () => true, parse: () => ({ json: null, images: [], skipped: [] }) };
+  const throwing = { name: 'Throwing', detect: () => {throw new Error('broken');}, parse: () => null };
+  registerTemplateImporter(throwing);
+  registerTemplateImporter(catchAll);
+  try {
+    // Earlier formats win over later ones, and a broken one is passed over
+    assert.equal(findTemplateImporter({ templates: [] }, context).name, 'osu!place');
+    assert.equal(findTemplateImporter({ something: 'else' }, context).name, 'Catch-all');
+  } finally {
+    templateImporters.splice(templateImporters.indexOf(throwing), 2);
+  }
+});
+
+test('the production build reads the same fields', async () => {
+
+  // The production build renames the properties of the importers' results, so only their values are compared
+  const minified = await loadSource('templateImporters.js', { minify: true });
+  const valuesOf = (value) => (value && typeof value === 'object') ? Object.values(value).map(valuesOf) : value;
+
+  const files = [
+    { templates: [{ name: 'Logo', sources: ['https://example.com/logo.png'], x: 1231183, y: 47593, frameWidth: 10, frameHeight: 20 }] },
+    { image: 'logo.png', coords: '1231, 47, 183, 593', name: 'Logo', enabled: false },
+    { file: 'logo.png', x: 1231183, y: 47593 },
+    { src: 'logo.png', x: 1231183, y: 47593 },
+    { url: 'https://example.com/logo.png', coords: [1231, 47, 183, 593] },
+  ];
+  for (const json of files) {
+    const importer = findTemplateImporter(json, context);
+    const minifiedImporter = minified.findTemplateImporter(json, context);
+    assert.ok(minifiedImporter, `${JSON.stringify(json)} is detected`);
+    assert.deepEqual(valuesOf(minifiedImporter.parse(json, context)), valuesOf(importer.parse(json, context)));
+  }
+});
@@ -0,0 +1,93 @@
+/** Runs the {@link TemplateManager} outside of the browser, for the tests.
+ * The parts that need a browser are replaced: the userscript storage, IndexedDB, the overlay, and the tiling of images.
+ * Template images are text with one character per pixel, in one row. They are tiled into text as well,
+ * so the tests can read exactly which pixels every stored tile has.
+ * @since 0.83.0
+ */
+
+import { loadSources } from './loadSource.js';
+
+const [{ default: TemplateManager }, { default: Template }] = await loadSources(['templateManager.js', 'Template.js']);
+
+const tileSize = 1000;
+
+/** The names of the templates that were tiled, in order. Cleared by the tests.
+ * @type {Array<string>}
+ */
+export const tiledTemplates = [];
+
+// Splits the row of pixels at tile borders. Each part is stored under the "TTTT,TTTT,PPP,PPP" key of where it starts
+Template.prototype.createTemplateTiles = async function () {
+
+  const pixels = await this.file.text();
+  const [tileX, tileY, pixelX, pixelY] = this.coords;
+  const templateTilesBlobs = {};
+  const tileCounts = {};
+
+  let tileKey = null;
+  let tilePixels = '';
+  const addTile = () => {
+    if (!tileKey) {return;}
+    templateTilesBlobs[tileKey] = new Blob([tilePixels], { type: 'text/plain' });
+    tileCounts[tileKey] = { pixels: tilePixels.length, colors: {} };
+  };
+  for (let i = 0; i < pixels.length; i++) {
+    const x = tileX * tileSize + pixelX + i;
+    if (!tileKey || (x % tileSize === 0)) {
+      addTile();
+      tileKey = [Math.floor(x / tileSize), tileY].map(n => String(n).padStart(4, '0')).concat([x % tileSize, pixelY].map(n => String(n).padStart(3, '0'))).join(',');
+      tilePixels = '';
+    }
+    tilePixels += pixels[i];
+  }
+  addTile();
+
+  tiledTemplates.push(this.displayName);
+  this.pixelCount = pixels.length;
+  this.width = pixels.length;
+  this.height = 1;
+  return { templateTiles: {}, templateTilesAuto: {}, templateTilesFull: {}, templateTilesAutoFull: {}, colorIndexTiles: {}, tileCounts, templateTilesBlobs };
+};
+
+// Joins the parts of the row back together
+Template.joinTemplateTiles = async (tileBlobs) => {
+  const tileKeys = Object.keys(tileBlobs).sort();
+  return new Blob([(await Promise.all(tileKeys.map(tileKey => tileBlobs[tileKey].text()))).join('')], { type: 'text/plain' });
+};
+
+/** Stores the tile images in memory, like {@link TemplateStorage} stores them in IndexedDB. */
+class MemoryTemplateStorage {
+  constructor() {this.tiles = new Map();}
+  async putTile(idKey, tileKey, blob) {this.tiles.set(JSON.stringify([idKey, tileKey]), blob);}
+  async getTile(idKey, tileKey) {return this.tiles.get(JSON.stringify([idKey, tileKey])) || null;}
+  async deleteTile(idKey, tileKey) {this.tiles.delete(JSON.stringify([idKey, tileKey]));}
+  async deleteTemplate(idKey) {for (const key of this.tiles.keys()) {if (JSON.parse(key)[0] === idKey) {this.tiles.delete(key);}}}
+  async getTileKeys() {return [...this.tiles.keys()].map(key => JSON.parse(key));}
+}
+
+globalThis.GM = { setValue: async () => {} };
+
+/** Creates a template manager that runs without a browser.
+ * @param {Object} [options={}] - Passed to the constructor of {@link TemplateManager}
+ * @returns {{templateManager: TemplateManager, errors: Array<string>}} The template manager, and the errors it showed
+ */
+export function createTemplateManager(options = {}) {
+  const errors = [];
+  const overlay = { handleDisplayStatus: () => {}, handleDisplayError: (text) => errors.push(text) };
+  const templateManager = new TemplateManager('Blue Marble', '0.82.1', overlay, options);
+  templateManager.templateStorage = new MemoryTemplateStorage();
+  return { templateManager, errors };
+}
+
+/** Reads the pixels of every template, as stored in its tiles.
+ * @param {TemplateManager} templateManager - The template manager
+ * @returns {Promise<Object<string, string>>} The pixels of each template, by name
+ */
+export async function readTemplatePixels(templateManager) {
+  const json = await templateManager.exportJSON();
+  const pixels = {};
+  for (const templateValue of Object.values(json.templates)) {
+    pixels[templateValue.name] = Object.keys(templateValue.tiles).sort().map(tileKey => Buffer.from(templateValue.tiles[tileKey], 'base64').toString()).join('');
+  }
+  return pixels;
+}
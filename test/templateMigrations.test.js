@@ -0,0 +1,20 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTemplateManager } from './templateManagerStubs.js';
+
+test('imported files never use the stored tile images of a template with the same key', async () => {
+
+  const { templateManager } = createTemplateManager();
+  await templateManager.templateStorage.putTile('0 $Z', '0000,0000,000,000', new Blob(['abc'], { type: 'text/plain' }));
+
+  // Files of these versions list tile keys, but their tile images might only be in the storage of whoever exported them
+  for (const schemaVersion of ['1.2.0', '1.3.0']) {
+    const result = await templateManager.mergeJSON({
+      whoami: 'BlueMarble',
+      schemaVersion,
+      templates: { '0 $Z': { name: 'Row', coords: '0, 0, 0, 0', tileKeys: ['0000,0000,000,000'] } },
+    });
+    assert.deepEqual(result.added, []);
+    assert.deepEqual(result.skipped, [{ name: 'Row', reason: 'tile images are missing from the file' }]);
+  }
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createHash } from 'crypto';
+import { createTemplateManager, readTemplatePixels, tiledTemplates } from './templateManagerStubs.js';
+
+/** Serves files from memory on a local port, like the server of a subscription. */
+async function startServer(files) {
+  const server = http.createServer((request, response) => {
+    const file = files[request.url];
+    if (!file) {response.writeHead(404).end(); return;}
+    response.writeHead(200, { 'Content-Type': file.type }).end(file.body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, baseURL: `http://127.0.0.1:${server.address().port}` };
+}
+
+/** Downloads a file with fetch, the way the userscript manager downloads it in the browser. */
+async function fetchFile(url) {
+  const response = await fetch(url, { headers: { 'Cache-Control': 'no-cache' } });
+  if (!response.ok) {throw new Error(`The server answered ${response.status}`);}
+  return { bytes: await response.arrayBuffer(), contentType: response.headers.get('content-type') || '' };
+}
+
+test('only the templates whose file changed are tiled again', async (t) => {
+
+  const files = {
+    '/a.png': { type: 'image/png', body: 'aaa' },
+    '/b.png': { type: 'image/png', body: 'bbb' },
+  };
+  const { server, baseURL } = await startServer(files);
+  t.after(() => {server.closeAllConnections(); server.close();});
+
+  const { templateManager, errors } = createTemplateManager({ fetchFile });
+  await templateManager.subscribeTemplate(`${baseURL}/a.png`, { name: 'A', coords: [0, 0, 0, 0] });
+  await templateManager.subscribeTemplate(`${baseURL}/b.png`, { name: 'B', coords: [0, 0, 10, 0] });
+  assert.deepEqual(await readTemplatePixels(templateManager), { A: 'aaa', B: 'bbb' });
+  await assert.rejects(templateManager.subscribeTemplate(`${baseURL}/a.png`, { coords: [0, 0, 0, 0] }), /already subscribed/);
+
+  // Checked recently, so nothing is downloaded
+  tiledTemplates.length = 0;
+  assert.deepEqual(await templateManager.refreshSubscriptions(), { checked: [], updated: [], failed: [] });
+
+  // The same file (with the same SHA-256 hash) is not tiled again
+  assert.deepEqual(await templateManager.refreshSubscriptions({ force: true }), { checked: [`${baseURL}/a.png`, `${baseURL}/b.png`], updated: [], failed: [] });
+  assert.deepEqual(tiledTemplates, []);
+
+  files['/a.png'].body = 'aaaa';
+  const result = await templateManager.refreshSubscriptions({ force: true });
+  assert.deepEqual(result, { checked: [`${baseURL}/a.png`, `${baseURL}/b.png`], updated: [`${baseURL}/a.png`], failed: [] });
+  assert.deepEqual(tiledTemplates, ['A']);
+  assert.deepEqual(await readTemplatePixels(templateManager), { A: 'aaaa', B: 'bbb' });
+
+  const templateValue = Object.values(templateManager.templatesJSON.templates).find(templateValue => templateValue.name === 'A');
+  assert.equal(templateValue.URLHash, createHash('sha256').update('aaaa').digest('hex'));
+  assert.equal(templateValue.coords, '0, 0, 0, 0');
+
+  // A file that can not be downloaded is reported, and the template is kept
+  delete files['/b.png'];
+  const failedResult = await templateManager.refreshSubscriptions({ url: `${baseURL}/b.png`, force: true });
+  assert.deepEqual(failedResult, { checked: [], updated: [], failed: [{ url: `${baseURL}/b.png`, reason: 'The server answered 404' }] });
+  assert.deepEqual(await readTemplatePixels(templateManager), { A: 'aaaa', B: 'bbb' });
+  assert.deepEqual(errors, []);
+});
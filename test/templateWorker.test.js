@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSource } from './loadSource.js';
+
+const { createTemplateTilesInWorker } = await loadSource('templateWorker.js');
+
+/** Replaces the Web Worker with one that answers every request the same way.
+ * @param {function(FakeWorker): void} answer - Answers the request, by calling `onmessage` or `onerror` of the worker
+ */
+function useFakeWorker(answer) {
+  globalThis.Worker = class FakeWorker {
+    terminate() {}
+    postMessage() {queueMicrotask(() => answer(this));}
+  };
+}
+
+test('a worker that can not be created is reported as unavailable', async () => {
+  globalThis.Worker = class { constructor() {throw new Error('Blocked by the Content Security Policy');} };
+  await assert.rejects(createTemplateTilesInWorker({}), { name: 'WorkerUnavailableError', message: 'Blocked by the Content Security Policy' });
+});
+
+test('a worker that fails before it answers is reported as unavailable', async () => {
+  useFakeWorker(worker => worker.onerror({ message: 'The script could not be loaded' }));
+  await assert.rejects(createTemplateTilesInWorker({}), { name: 'WorkerUnavailableError' });
+});
+
+test('errors from processing the template are not reported as an unavailable worker', async () => {
+  useFakeWorker(worker => worker.onmessage({ data: { type: 'error', message: 'No palette color is enabled. Enable at least one color.' } }));
+  await assert.rejects(createTemplateTilesInWorker({}), { name: 'Error', message: 'No palette color is enabled. Enable at least one color.' });
+
+  useFakeWorker(worker => {
+    worker.onmessage({ data: { type: 'progress', tilesDone: 1, tileCount: 2 } });
+    worker.onerror({ message: 'Out of memory' });
+  });
+  await assert.rejects(createTemplateTilesInWorker({}), { name: 'Error', message: 'Out of memory' });
+});